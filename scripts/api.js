@@ -3,137 +3,737 @@
  * @module api
  */
 
-import { OMDB_API_KEY, OMDB_BASE_URL, SEARCH_TIMEOUT } from './config.js';
-import { getErrorMessage, isValidAPIKey } from './utils.js';
-
-// Cache em memória para respostas
+import {
+  ITEMS_PER_PAGE,
+  MAX_OMDB_PAGE,
+  MAX_YEAR_RANGE,
+  ALL_RESULTS_CONCURRENCY,
+  CACHE_MAX_ENTRIES,
+  CACHE_STALE_AFTER,
+  MAX_RETRIES,
+  RETRY_BASE_DELAY,
+  RETRY_MAX_DELAY,
+  QUOTA_RESET_UTC_HOUR
+} from './config.js';
+import { getErrorMessage, isValidAPIKey, normalizeFilters } from './utils.js';
+import { scheduleRequest } from './scheduler.js';
+import {
+  APIError,
+  ConfigurationError,
+  NotFoundError,
+  FilterError,
+  NetworkError,
+  TimeoutError,
+  ServerError,
+  RateLimitError,
+  AbortedError,
+  isTransientError
+} from './errors.js';
+import { getProvider } from './providers/index.js';
+import { omdbProvider } from './providers/omdb.js';
+import { getAPIKey, setStoredAPIKey, clearStoredAPIKey } from './settings.js';
+import { isOffline } from './offline.js';
+import {
+  getCachedEntry,
+  setCachedEntry,
+  clearCachedEntries,
+  getCachedEntriesStats,
+  getCacheKind,
+  isExpired
+} from './cache.js';
+
+// Cache em memória para respostas (primeira camada, limitada como o IndexedDB)
 const memoryCache = new Map();
 
+// Momento em que cada resposta foi obtida do OMDb (indicador "atualizado há")
+const responseTimestamps = new WeakMap();
+
+// Chaves sendo revalidadas em segundo plano
+const revalidating = new Set();
+
+// Respostas de cada ano que formam um resultado de faixa de anos (revalidadas uma a uma)
+const rangeParts = new WeakMap();
+
 /**
- * Obtém dados do cache (memória ou localStorage)
+ * Eventos do api.js
+ * 'revalidate': resposta velha atualizada em segundo plano; detail: { key, kind, data, previous, changed }
+ * 'quota': limite diário atingido ou liberado; detail: { exhausted, resetAt }
+ */
+export const apiEvents = new EventTarget();
+
+const QUOTA_STORAGE_KEY = 'top-fimes:quota-reset';
+
+// Momento em que o limite diário volta (null = disponível)
+let quotaResetAt = loadQuotaReset();
+
+/**
+ * Obtém entrada do cache (memória ou IndexedDB)
  * @param {string} key - Chave do cache
- * @returns {any} Dados em cache ou null
+ * @returns {Promise<Object|null>} Entrada { data, timestamp } ou null
  */
-function getFromCache(key) {
+async function getFromCache(key) {
+  // Provedores locais não usam o cache (e não devem ler respostas do OMDb)
+  if (!getProvider().cacheable) return null;
+
   // Verifica cache em memória primeiro
-  if (memoryCache.has(key)) {
-    return memoryCache.get(key);
+  const entry = memoryCache.get(key);
+  if (entry) {
+    memoryCache.delete(key);
+    if (!isExpired(entry)) {
+      memoryCache.set(key, entry); // Reinsere para manter ordem LRU
+      return entry;
+    }
   }
 
-  // Verifica localStorage
+  // Verifica IndexedDB
   try {
-    const cached = localStorage.getItem(`omdb_${key}`);
+    const cached = await getCachedEntry(key);
     if (cached) {
-      const { data, timestamp } = JSON.parse(cached);
-      const isExpired = Date.now() - timestamp > 24 * 60 * 60 * 1000; // 24 horas
-      if (!isExpired) {
-        memoryCache.set(key, data);
-        return data;
-      }
-      localStorage.removeItem(`omdb_${key}`);
+      setMemoryCache(key, cached.data, cached.timestamp);
+      return { data: cached.data, timestamp: cached.timestamp };
     }
   } catch (e) {
-    console.warn('Erro ao acessar localStorage:', e);
+    console.warn('Erro ao acessar cache do IndexedDB:', e);
   }
 
   return null;
 }
 
+/**
+ * Armazena dados no cache em memória, removendo a entrada mais antiga se cheio
+ * @param {string} key - Chave do cache
+ * @param {any} data - Dados a armazenar
+ * @param {number} timestamp - Momento em que os dados foram obtidos
+ */
+function setMemoryCache(key, data, timestamp) {
+  responseTimestamps.set(data, timestamp);
+  memoryCache.delete(key);
+  memoryCache.set(key, { key, data, timestamp });
+  if (memoryCache.size > CACHE_MAX_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
 /**
  * Armazena dados em cache
+ * A escrita no IndexedDB não bloqueia a resposta
  * @param {string} key - Chave do cache
  * @param {any} data - Dados a armazenar
  */
 function setCache(key, data) {
-  memoryCache.set(key, data);
+  if (!getProvider().cacheable) return;
+
+  const timestamp = Date.now();
+  setMemoryCache(key, data, timestamp);
+  setCachedEntry(key, data, timestamp).catch((e) => {
+    console.warn('Erro ao gravar cache no IndexedDB:', e);
+  });
+}
+
+/**
+ * Devolve resposta em cache e, se estiver velha, busca a versão atual em segundo plano
+ * @param {string} key - Chave do cache
+ * @param {Object} cached - Entrada { data, timestamp }
+ * @param {Function} request - Faz a requisição ao OMDb sem usar o cache
+ * @returns {any} Dados em cache
+ */
+function serveStale(key, cached, request) {
+  const staleAfter = CACHE_STALE_AFTER[getCacheKind(key)];
+  const isStale = staleAfter !== undefined && Date.now() - cached.timestamp > staleAfter;
+
+  // Sem cota ou sem conexão, a resposta velha continua valendo
+  if (isStale && !revalidating.has(key) && !getQuotaStatus().exhausted && !isOffline()) {
+    revalidate(key, cached.data, request);
+  }
+
+  return cached.data;
+}
+
+/**
+ * Atualiza resposta em segundo plano e notifica a interface
+ * Sem mudanças, a resposta anterior é mantida e só o horário de atualização muda
+ * @param {string} key - Chave do cache
+ * @param {any} previous - Dados servidos do cache
+ * @param {Function} request - Faz a requisição ao OMDb
+ */
+async function revalidate(key, previous, request) {
+  revalidating.add(key);
+
+  try {
+    const data = await request();
+    const changed = JSON.stringify(data) !== JSON.stringify(previous);
+
+    if (!changed) {
+      setMemoryCache(key, previous, responseTimestamps.get(data));
+    }
+
+    apiEvents.dispatchEvent(new CustomEvent('revalidate', {
+      detail: { key, kind: getCacheKind(key), data: changed ? data : previous, previous, changed }
+    }));
+  } catch (error) {
+    console.warn(`Erro ao revalidar "${key}":`, error);
+  } finally {
+    revalidating.delete(key);
+  }
+}
+
+/**
+ * Obtém o momento em que uma resposta foi obtida do OMDb
+ * @param {Object} data - Resposta retornada pelas funções de busca
+ * @returns {number|null} Timestamp em ms ou null se desconhecido
+ */
+export function getLastUpdated(data) {
+  return (data && responseTimestamps.get(data)) || null;
+}
+
+/**
+ * Lê do localStorage quando o limite diário volta (se ainda não voltou)
+ * @returns {Date|null} Momento da liberação
+ */
+function loadQuotaReset() {
+  try {
+    const stored = Number(localStorage.getItem(QUOTA_STORAGE_KEY));
+    return stored > Date.now() ? new Date(stored) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Calcula o próximo horário em que o limite diário do OMDb volta
+ * @returns {Date} Próxima liberação (QUOTA_RESET_UTC_HOUR em UTC)
+ */
+function getNextQuotaReset() {
+  const reset = new Date();
+  reset.setUTCHours(QUOTA_RESET_UTC_HOUR, 0, 0, 0);
+  if (reset <= new Date()) {
+    reset.setUTCDate(reset.getUTCDate() + 1);
+  }
+  return reset;
+}
+
+/**
+ * Obtém estado do limite diário da chave
+ * Com a cota esgotada o app só usa dados em cache
+ * @returns {Object} { exhausted, resetAt }
+ */
+export function getQuotaStatus() {
+  if (quotaResetAt && quotaResetAt <= new Date()) {
+    setQuotaReset(null);
+  }
+  return { exhausted: quotaResetAt !== null, resetAt: quotaResetAt };
+}
+
+/**
+ * Atualiza estado do limite diário e notifica a interface
+ * @param {Date|null} resetAt - Quando o limite volta (null = disponível)
+ */
+function setQuotaReset(resetAt) {
+  quotaResetAt = resetAt;
   try {
-    localStorage.setItem(`omdb_${key}`, JSON.stringify({ data, timestamp: Date.now() }));
+    if (resetAt) {
+      localStorage.setItem(QUOTA_STORAGE_KEY, String(resetAt.getTime()));
+    } else {
+      localStorage.removeItem(QUOTA_STORAGE_KEY);
+    }
   } catch (e) {
-    console.warn('LocalStorage cheio ou indisponível:', e);
+    console.warn('Erro ao acessar localStorage:', e);
+  }
+
+  apiEvents.dispatchEvent(new CustomEvent('quota', {
+    detail: { exhausted: resetAt !== null, resetAt }
+  }));
+}
+
+/**
+ * Aguarda antes de uma nova tentativa
+ * @param {number} ms - Tempo de espera
+ * @param {AbortSignal} signal - Interrompe a espera
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timeoutId);
+      reject(new DOMException('Requisição cancelada.', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+/**
+ * Calcula espera antes da próxima tentativa (exponencial com jitter)
+ * O jitter evita que várias abas repitam a requisição ao mesmo tempo
+ * @param {number} attempt - Tentativa que falhou (0 = primeira)
+ * @param {Error} error - Erro da tentativa (HTTP 429 pode sugerir espera)
+ * @returns {number} Espera em ms
+ */
+function getRetryDelay(attempt, error) {
+  const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+  const jittered = delay / 2 + Math.random() * (delay / 2);
+  return Math.max(jittered, error.retryAfter || 0);
+}
+
+/**
+ * Executa requisição repetindo falhas passageiras até MAX_RETRIES vezes
+ * @param {Function} request - Faz uma tentativa e retorna Promise
+ * @param {AbortSignal} signal - Signal da requisição
+ * @returns {Promise<any>} Resultado da primeira tentativa bem-sucedida
+ */
+async function withRetry(request, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || signal.aborted || !isTransientError(error)) {
+        throw error;
+      }
+      await wait(getRetryDelay(attempt, error), signal);
+    }
   }
 }
 
+// Mensagens de "não encontrado" por tipo de requisição
+const NOT_FOUND_MESSAGES = {
+  search: 'Nenhum resultado encontrado.',
+  detail: 'Filme não encontrado.',
+  season: 'Temporada não encontrada.',
+  episode: 'Episódio não encontrado.'
+};
+
 /**
  * Valida resposta da API
  * @param {any} data - Resposta da API
- * @param {string} type - Tipo de busca ('search' ou 'detail')
- * @throws {Error} Se resposta indicar erro
+ * @param {string} type - Tipo de busca ('search', 'detail', 'season' ou 'episode')
+ * @throws {RateLimitError} Se o limite diário da chave foi atingido
+ * @throws {ConfigurationError} Se a API key for inválida
+ * @throws {NotFoundError} Se não houver resultado
+ * @throws {APIError} Se resposta indicar outro erro
  */
 function validateAPIResponse(data, type = 'search') {
   if (data.Response === 'False') {
-    throw new Error(data.Error || 'Erro na API OMDb');
+    const apiError = data.Error || '';
+
+    if (apiError === 'Request limit reached!') {
+      throw new RateLimitError({ daily: true, resetAt: getNextQuotaReset() });
+    }
+    if (/api key/i.test(apiError)) {
+      throw new ConfigurationError('API key inválida. Confira a chave do OMDb configurada.');
+    }
+    if (/not found|incorrect imdb id/i.test(apiError)) {
+      throw new NotFoundError(NOT_FOUND_MESSAGES[type]);
+    }
+    if (apiError === 'Too many results.') {
+      throw new APIError('Muitos resultados. Use um termo de busca mais específico.');
+    }
+    throw new APIError(apiError || 'Erro na API OMDb');
   }
 
   if (type === 'search' && !data.Search) {
-    throw new Error('Nenhum resultado encontrado.');
+    throw new NotFoundError(NOT_FOUND_MESSAGES.search);
   }
 
-  if (type === 'detail' && !data.imdbID) {
-    throw new Error('Filme não encontrado.');
+  if ((type === 'detail' || type === 'episode') && !data.imdbID) {
+    throw new NotFoundError(NOT_FOUND_MESSAGES[type]);
+  }
+
+  if (type === 'season' && !Array.isArray(data.Episodes)) {
+    throw new NotFoundError(NOT_FOUND_MESSAGES.season);
   }
 
   return true;
 }
 
+/**
+ * Verifica se o provedor de dados ativo pode ser usado
+ * O OMDb exige chave; o provedor local não
+ * @returns {boolean} True se configurado
+ */
+export function isConfigured() {
+  return !getProvider().requiresKey || isValidAPIKey(getAPIKey());
+}
+
+/**
+ * Garante que o provedor de dados ativo está configurado
+ * @throws {ConfigurationError} Se faltar a API key
+ */
+function assertConfigured() {
+  if (!isConfigured()) {
+    throw new ConfigurationError(
+      'API key não configurada. Informe sua chave do OMDb nas configurações.'
+    );
+  }
+}
+
+// Título consultado para testar chaves (The Matrix)
+const API_KEY_TEST_ID = 'tt0133093';
+
+/**
+ * Testa uma chave do OMDb com uma requisição de detalhes
+ * Chave com o limite diário atingido é válida; só fica sem cota até a liberação
+ * @param {string} apiKey - Chave a testar
+ * @param {AbortSignal} signal - Signal para cancelar o teste
+ * @returns {Promise<Date|null>} Quando o limite diário volta, se já estiver esgotado
+ * @throws {ConfigurationError} Se a chave for inválida
+ * @throws {AbortedError} Se o teste for cancelado
+ * @throws {APIError} Se o OMDb não puder ser consultado
+ */
+export async function testAPIKey(apiKey, signal = null) {
+  if (!isValidAPIKey(apiKey)) {
+    throw new ConfigurationError('API key inválida. Confira a chave copiada do e-mail do OMDb.');
+  }
+
+  try {
+    const data = await scheduleRequest(`keytest_${apiKey}`, (requestSignal) =>
+      omdbProvider.details(API_KEY_TEST_ID, { signal: requestSignal, fresh: true, apiKey }), signal);
+    validateAPIResponse(data, 'detail');
+    return null;
+  } catch (error) {
+    if (error instanceof RateLimitError && error.daily) {
+      return error.resetAt;
+    }
+    if (error.name === 'AbortError') {
+      throw new AbortedError('Teste da chave cancelado.', { cause: error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Testa e salva a chave do usuário; as próximas requisições já a usam
+ * @param {string} apiKey - Chave informada
+ * @param {AbortSignal} signal - Signal para cancelar o teste
+ * @returns {Promise<Object>} Estado da cota da nova chave { exhausted, resetAt }
+ * @throws {ConfigurationError} Se a chave for inválida (nada é salvo)
+ */
+export async function saveAPIKey(apiKey, signal = null) {
+  const key = apiKey.trim();
+  const resetAt = await testAPIKey(key, signal);
+
+  setStoredAPIKey(key);
+  // O limite diário é por chave
+  setQuotaReset(resetAt);
+  return getQuotaStatus();
+}
+
+/**
+ * Remove a chave do usuário; volta a valer a de config.js (se houver)
+ */
+export function removeAPIKey() {
+  clearStoredAPIKey();
+  setQuotaReset(null);
+}
+
+/**
+ * Faz requisição ao provedor de dados, valida e armazena a resposta em cache
+ * Passa pelo agendador: uma requisição por chave e no máximo MAX_CONCURRENT_REQUESTS ao mesmo tempo
+ * @param {Function} request - Recebe o provedor e { signal, fresh } e retorna Promise com o JSON
+ * @param {Object} options - Opções da requisição
+ * @param {string} options.cacheKey - Chave do cache
+ * @param {string} options.type - Tipo de validação ('search', 'detail', 'season', 'episode')
+ * @param {AbortSignal} options.signal - Signal para cancelar requisição
+ * @param {string} options.abortMessage - Mensagem quando cancelada
+ * @param {boolean} options.fresh - Ignora o cache HTTP do navegador (revalidação)
+ * @returns {Promise<Object>} Resposta da API
+ * @throws {RateLimitError} Se a cota diária estiver esgotada
+ * @throws {NetworkError} Se estiver offline (sem esperar as novas tentativas)
+ * @throws {AbortedError} Se o chamador cancelar
+ * @throws {TimeoutError} Se passar de SEARCH_TIMEOUT
+ * @throws {APIError} Se falhar na requisição (falhas passageiras são repetidas antes)
+ */
+async function fetchFromProvider(request, {
+  cacheKey,
+  type,
+  signal = null,
+  abortMessage = 'Requisição cancelada.',
+  fresh = false
+}) {
+  const provider = getProvider();
+
+  // Com a cota do OMDb esgotada nem tenta a rede; o catálogo local não tem cota
+  const quota = getQuotaStatus();
+  if (provider.cacheable && quota.exhausted) {
+    throw new RateLimitError({ daily: true, resetAt: quota.resetAt });
+  }
+
+  // Offline a requisição falharia de qualquer jeito; o provedor local (sem cache)
+  // responde do catálogo empacotado, disponível offline pelo Service Worker
+  if (provider.cacheable && isOffline()) {
+    throw new NetworkError();
+  }
+
+  try {
+    // Chamadas simultâneas com a mesma chave compartilham a requisição
+    return await scheduleRequest(cacheKey, (requestSignal) => withRetry(async () => {
+      const data = await request(provider, { signal: requestSignal, fresh });
+      validateAPIResponse(data, type);
+
+      setCache(cacheKey, data);
+      return data;
+    }, requestSignal), signal);
+  } catch (error) {
+    if (error instanceof RateLimitError && error.daily && !quotaResetAt) {
+      setQuotaReset(error.resetAt);
+    }
+    if (error.name === 'AbortError') {
+      throw new AbortedError(abortMessage, { cause: error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Calcula total de páginas de um resultado de busca (limitado ao máximo do OMDb)
+ * @param {Object} result - Resultado de searchMovies
+ * @returns {number} Total de páginas
+ */
+export function getTotalPages(result) {
+  const totalPages = result?.totalPages ||
+    Math.ceil((parseInt(result?.totalResults, 10) || 0) / ITEMS_PER_PAGE);
+  return Math.min(totalPages, MAX_OMDB_PAGE);
+}
+
+/**
+ * Busca uma faixa de anos fazendo uma consulta por ano e mesclando os resultados
+ * @param {string} searchTerm - Termo de busca
+ * @param {number} page - Página de resultados (aplicada a cada ano)
+ * @param {AbortSignal} signal - Signal para cancelar requisição
+ * @param {Object} filters - Filtros normalizados com yearFrom < yearTo
+ * @returns {Promise<Object>} Objeto com Search, totalResults, totalPages e partial (algum ano falhou)
+ * @throws {FilterError} Se a faixa passar de MAX_YEAR_RANGE anos
+ * @throws {AbortedError} Se o chamador cancelar
+ * @throws {APIError} Se nenhum ano tiver resultados (o erro mais grave entre os anos)
+ */
+async function searchYearRange(searchTerm, page, signal, filters) {
+  if (filters.yearTo - filters.yearFrom + 1 > MAX_YEAR_RANGE) {
+    throw new FilterError(`Faixa de anos muito grande (máximo ${MAX_YEAR_RANGE} anos).`);
+  }
+
+  const years = [];
+  for (let year = filters.yearFrom; year <= filters.yearTo; year++) {
+    years.push(year);
+  }
+
+  // Ano sem resultados não é falha; os demais erros deixam o resultado incompleto
+  const errors = [];
+  const results = await Promise.all(years.map((year) =>
+    searchMovies(searchTerm, page, signal, { ...filters, yearFrom: year, yearTo: year })
+      .catch((error) => {
+        if (!(error instanceof NotFoundError)) {
+          errors.push(error);
+        }
+        return null;
+      })
+  ));
+
+  // Anos já em cache resolvem mesmo depois do cancelamento: não há erro para repassar
+  if (signal?.aborted) {
+    throw new AbortedError('Busca cancelada.');
+  }
+
+  const found = results.filter(Boolean);
+  if (found.length === 0) {
+    throw errors.length > 0 ? getMostSevereError(errors) : new NotFoundError(NOT_FOUND_MESSAGES.search);
+  }
+
+  return mergeYearResults(found, { partial: errors.length > 0 });
+}
+
+// Gravidade dos erros de uma faixa de anos (o primeiro é o mais grave)
+// Um "sem resultados" de um ano não pode esconder cota esgotada ou falta de conexão
+const ERROR_SEVERITY = [ConfigurationError, RateLimitError, NetworkError, TimeoutError, ServerError];
+
+/**
+ * Escolhe o erro mais grave (o que o usuário precisa resolver primeiro)
+ * @param {Error[]} errors - Erros das consultas de cada ano
+ * @returns {Error} Erro mais grave (empates: o primeiro da lista)
+ */
+function getMostSevereError(errors) {
+  const rank = (error) => {
+    const index = ERROR_SEVERITY.findIndex((ErrorType) => error instanceof ErrorType);
+    return index === -1 ? ERROR_SEVERITY.length : index;
+  };
+  return errors.reduce((worst, error) => (rank(error) < rank(worst) ? error : worst));
+}
+
+/**
+ * Mescla as respostas de cada ano de uma faixa em um único resultado
+ * @param {Object[]} found - Respostas dos anos com resultados
+ * @param {Object} options - Opções
+ * @param {boolean} options.partial - Algum ano falhou (resultado incompleto)
+ * @returns {Object} Objeto com Search, totalResults e totalPages
+ */
+function mergeYearResults(found, { partial = false } = {}) {
+  // Mescla removendo duplicados
+  const seen = new Set();
+  const merged = [];
+  found.forEach((result) => {
+    result.Search.forEach((movie) => {
+      if (!seen.has(movie.imdbID)) {
+        seen.add(movie.imdbID);
+        merged.push(movie);
+      }
+    });
+  });
+
+  const totalResults = found.reduce((sum, result) => sum + (parseInt(result.totalResults, 10) || 0), 0);
+
+  const result = {
+    Search: merged,
+    totalResults: String(totalResults),
+    totalPages: Math.max(...found.map(getTotalPages)),
+    Response: 'True'
+  };
+  if (partial) {
+    result.partial = true;
+  }
+
+  // A faixa é tão recente quanto o ano atualizado há mais tempo
+  const timestamps = found.map(getLastUpdated).filter(Boolean);
+  if (timestamps.length > 0) {
+    responseTimestamps.set(result, Math.min(...timestamps));
+  }
+
+  rangeParts.set(result, found);
+  return result;
+}
+
+/**
+ * Verifica se uma resposta de um ano faz parte de um resultado de faixa de anos
+ * @param {Object} result - Resultado exibido (de searchMovies)
+ * @param {Object} part - Resposta de um ano (ex: a revalidada em segundo plano)
+ * @returns {boolean} True se o resultado foi mesclado a partir dela
+ */
+export function isRangePart(result, part) {
+  return Boolean(rangeParts.get(result)?.includes(part));
+}
+
+/**
+ * Refaz um resultado de faixa de anos trocando a resposta de um dos anos
+ * @param {Object} result - Resultado mesclado exibido
+ * @param {Object} previous - Resposta do ano servida do cache
+ * @param {Object} data - Resposta do ano atualizada
+ * @returns {Object} Novo resultado mesclado
+ */
+export function replaceRangePart(result, previous, data) {
+  return mergeYearResults(rangeParts.get(result).map((part) => (part === previous ? data : part)), {
+    partial: Boolean(result.partial)
+  });
+}
+
 /**
  * Busca filmes por termo
  * @param {string} searchTerm - Termo de busca
  * @param {number} page - Página de resultados (default: 1)
  * @param {AbortSignal} signal - Signal para cancelar requisição
+ * @param {Object} filters - Filtros de tipo e ano (ver normalizeFilters)
  * @returns {Promise<Object>} Objeto com Search e totalResults
  * @throws {Error} Se falhar na busca
  */
-export async function searchMovies(searchTerm, page = 1, signal = null) {
-  if (!isValidAPIKey(OMDB_API_KEY)) {
-    throw new Error(
-      'API key não configurada. Configure em scripts/config.js'
-    );
-  }
+export async function searchMovies(searchTerm, page = 1, signal = null, filters = {}) {
+  assertConfigured();
 
   if (!searchTerm || searchTerm.trim().length === 0) {
     throw new Error('Por favor, insira um termo de busca.');
   }
 
-  const cacheKey = `search_${searchTerm.toLowerCase()}_${page}`;
-  const cached = getFromCache(cacheKey);
-  if (cached) return cached;
+  const { type, yearFrom, yearTo } = normalizeFilters(filters);
 
-  const controller = signal ? null : new AbortController();
-  const searchSignal = signal || controller?.signal;
+  if (yearFrom !== yearTo) {
+    return searchYearRange(searchTerm, page, signal, { type, yearFrom, yearTo });
+  }
 
-  try {
-    const url = new URL(OMDB_BASE_URL);
-    url.searchParams.set('apikey', OMDB_API_KEY);
-    url.searchParams.set('s', searchTerm.trim());
-    url.searchParams.set('type', 'movie');
-    url.searchParams.set('page', page);
-
-    const timeoutId = setTimeout(() => {
-      if (controller) controller.abort();
-    }, SEARCH_TIMEOUT);
-
-    const response = await fetch(url.toString(), {
-      signal: searchSignal,
-      cache: 'force-cache'
-    });
+  const cacheKey = `search_${searchTerm.toLowerCase()}_${page}_${type || 'all'}_${yearFrom || 'any'}`;
+  const query = { term: searchTerm.trim(), page, type, year: yearFrom };
+  const request = (provider, options) => provider.search(query, options);
 
-    clearTimeout(timeoutId);
+  const cached = await getFromCache(cacheKey);
+  if (cached) {
+    return serveStale(cacheKey, cached, () =>
+      fetchFromProvider(request, { cacheKey, type: 'search', fresh: true })
+    );
+  }
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
+  return fetchFromProvider(request, { cacheKey, type: 'search', signal, abortMessage: 'Busca cancelada.' });
+}
+
+/**
+ * Busca todas as páginas de um termo com concorrência limitada
+ * O resultado mesclado (sem duplicados) fica em cache como uma única entrada
+ * @param {string} searchTerm - Termo de busca
+ * @param {Object} filters - Filtros de tipo e ano (ver normalizeFilters)
+ * @param {Object} options - Opções
+ * @param {AbortSignal} options.signal - Signal para cancelar todas as páginas
+ * @param {Function} options.onProgress - Recebe { fetched, total } a cada página
+ * @returns {Promise<Object>} Objeto com Search, totalResults, totalPages (1) e partial (alguma página falhou)
+ * @throws {Error} Se a primeira página falhar ou a busca for cancelada
+ */
+export async function searchAllMovies(searchTerm, filters = {}, { signal = null, onProgress = null } = {}) {
+  const { type, yearFrom, yearTo } = normalizeFilters(filters);
+  const cacheKey = `searchall_${searchTerm.trim().toLowerCase()}_${type || 'all'}_${yearFrom || 'any'}-${yearTo || 'any'}`;
+  const cached = await getFromCache(cacheKey);
+  if (cached) {
+    onProgress?.({ fetched: cached.data.pagesFetched, total: cached.data.pagesFetched });
+    return cached.data;
+  }
 
-    const data = await response.json();
-    validateAPIResponse(data, 'search');
+  const first = await searchMovies(searchTerm, 1, signal, filters);
+  const total = getTotalPages(first);
+  const pages = [first];
+  let fetched = 1;
+  let failed = 0;
+  onProgress?.({ fetched, total });
 
-    setCache(cacheKey, data);
-    return data;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('Busca cancelada.');
+  const queue = [];
+  for (let page = 2; page <= total; page++) {
+    queue.push(page);
+  }
+
+  // Cada worker pega a próxima página da fila até esvaziar
+  const worker = async () => {
+    while (queue.length > 0) {
+      const page = queue.shift();
+      try {
+        pages[page - 1] = await searchMovies(searchTerm, page, signal, filters);
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(`Erro ao carregar página ${page}:`, error);
+        failed++;
+      }
+      fetched++;
+      onProgress?.({ fetched, total });
     }
-    throw error;
+  };
+
+  await Promise.all(Array.from({ length: Math.min(ALL_RESULTS_CONCURRENCY, queue.length) }, worker));
+
+  const seen = new Set();
+  const merged = [];
+  pages.filter(Boolean).forEach((result) => {
+    result.Search.forEach((movie) => {
+      if (!seen.has(movie.imdbID)) {
+        seen.add(movie.imdbID);
+        merged.push(movie);
+      }
+    });
+  });
+
+  const result = {
+    Search: merged,
+    totalResults: String(merged.length),
+    totalPages: 1,
+    pagesFetched: total,
+    Response: 'True'
+  };
+
+  // Resultado parcial (página ou ano de uma faixa que falhou) não vai para o cache
+  if (failed > 0 || pages.some((page) => page?.partial)) {
+    result.partial = true;
+  } else {
+    setCache(cacheKey, result);
   }
+
+  return result;
 }
 
 /**
@@ -144,77 +744,100 @@ export async function searchMovies(searchTerm, page = 1, signal = null) {
  * @throws {Error} Se falhar na busca
  */
 export async function getMovieDetails(imdbID, signal = null) {
-  if (!isValidAPIKey(OMDB_API_KEY)) {
-    throw new Error(
-      'API key não configurada. Configure em scripts/config.js'
-    );
-  }
+  assertConfigured();
 
   if (!imdbID || imdbID.trim().length === 0) {
     throw new Error('ID IMDb inválido.');
   }
 
   const cacheKey = `detail_${imdbID}`;
-  const cached = getFromCache(cacheKey);
-  if (cached) return cached;
+  const request = (provider, options) => provider.details(imdbID, options);
 
-  const controller = signal ? null : new AbortController();
-  const detailSignal = signal || controller?.signal;
+  const cached = await getFromCache(cacheKey);
+  if (cached) {
+    return serveStale(cacheKey, cached, () =>
+      fetchFromProvider(request, { cacheKey, type: 'detail', fresh: true })
+    );
+  }
 
-  try {
-    const url = new URL(OMDB_BASE_URL);
-    url.searchParams.set('apikey', OMDB_API_KEY);
-    url.searchParams.set('i', imdbID);
-    url.searchParams.set('plot', 'full');
-
-    const timeoutId = setTimeout(() => {
-      if (controller) controller.abort();
-    }, SEARCH_TIMEOUT);
-
-    const response = await fetch(url.toString(), {
-      signal: detailSignal,
-      cache: 'force-cache'
-    });
+  return fetchFromProvider(request, { cacheKey, type: 'detail', signal });
+}
 
-    clearTimeout(timeoutId);
+/**
+ * Obtém lista de episódios de uma temporada
+ * @param {string} imdbID - ID IMDb da série
+ * @param {number} season - Número da temporada
+ * @param {AbortSignal} signal - Signal para cancelar requisição
+ * @returns {Promise<Object>} Objeto com Episodes, Season e totalSeasons
+ * @throws {Error} Se falhar na busca
+ */
+export async function getSeason(imdbID, season, signal = null) {
+  assertConfigured();
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
+  if (!imdbID || !(season > 0)) {
+    throw new Error('Temporada inválida.');
+  }
 
-    const data = await response.json();
-    validateAPIResponse(data, 'detail');
+  const cacheKey = `season_${imdbID}_${season}`;
+  const cached = await getFromCache(cacheKey);
+  if (cached) return cached.data;
 
-    setCache(cacheKey, data);
-    return data;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('Requisição cancelada.');
-    }
-    throw error;
+  return fetchFromProvider(
+    (provider, options) => provider.season(imdbID, season, options),
+    { cacheKey, type: 'season', signal }
+  );
+}
+
+/**
+ * Obtém detalhes de um episódio
+ * @param {string} imdbID - ID IMDb da série
+ * @param {number} season - Número da temporada
+ * @param {number} episode - Número do episódio
+ * @param {AbortSignal} signal - Signal para cancelar requisição
+ * @returns {Promise<Object>} Objeto com detalhes do episódio
+ * @throws {Error} Se falhar na busca
+ */
+export async function getEpisode(imdbID, season, episode, signal = null) {
+  assertConfigured();
+
+  if (!imdbID || !(season > 0) || !(episode > 0)) {
+    throw new Error('Episódio inválido.');
   }
+
+  const cacheKey = `episode_${imdbID}_${season}_${episode}`;
+  const cached = await getFromCache(cacheKey);
+  if (cached) return cached.data;
+
+  return fetchFromProvider(
+    (provider, options) => provider.episode(imdbID, season, episode, options),
+    { cacheKey, type: 'episode', signal }
+  );
 }
 
 /**
  * Limpa cache (útil para testes e debug)
+ * @returns {Promise<void>}
  */
-export function clearCache() {
+export async function clearCache() {
   memoryCache.clear();
   try {
-    const keys = Object.keys(localStorage).filter(k => k.startsWith('omdb_'));
-    keys.forEach(key => localStorage.removeItem(key));
+    await clearCachedEntries();
   } catch (e) {
-    console.warn('Erro ao limpar localStorage:', e);
+    console.warn('Erro ao limpar cache do IndexedDB:', e);
   }
 }
 
 /**
  * Obtém status do cache
- * @returns {Object} Informações do cache
+ * @returns {Promise<Object>} Informações do cache
  */
-export function getCacheStats() {
+export async function getCacheStats() {
+  const persistent = await getCachedEntriesStats().catch(() => null);
   return {
     memoryCacheSize: memoryCache.size,
-    localStorageItems: Object.keys(localStorage).filter(k => k.startsWith('omdb_')).length
+    indexedDBEntries: persistent?.entries ?? 0,
+    indexedDBBytes: persistent?.bytes ?? 0,
+    maxEntries: CACHE_MAX_ENTRIES,
+    maxBytes: persistent?.maxBytes ?? 0
   };
 }
@@ -0,0 +1,250 @@
+/**
+ * Cache persistente de respostas do OMDb em IndexedDB
+ * Limitado por entradas e bytes (remoção LRU) e com TTL por tipo de resposta
+ * @module cache
+ */
+
+import { CACHE_DURATION, CACHE_TTL, CACHE_MAX_ENTRIES, CACHE_MAX_BYTES } from './config.js';
+import { STORES, withStore, openDatabase } from './db.js';
+
+const LEGACY_PREFIX = 'omdb_';
+
+// Totais mantidos em memória para não varrer o store a cada escrita
+let stats = null;
+let migration = null;
+
+/**
+ * Obtém tipo da resposta a partir da chave (ex: "detail_tt0372784" → "detail")
+ * @param {string} key - Chave do cache
+ * @returns {string} Tipo da resposta
+ */
+export function getCacheKind(key) {
+  return key.split('_')[0];
+}
+
+/**
+ * Obtém TTL de um tipo de resposta
+ * @param {string} kind - Tipo da resposta
+ * @returns {number} TTL em ms
+ */
+export function getCacheTTL(kind) {
+  return CACHE_TTL[kind] ?? CACHE_DURATION;
+}
+
+/**
+ * Verifica se entrada passou do TTL
+ * @param {Object} entry - Entrada com key e timestamp
+ * @returns {boolean} True se expirada
+ */
+export function isExpired(entry) {
+  return Date.now() - entry.timestamp > getCacheTTL(getCacheKind(entry.key));
+}
+
+/**
+ * Estima tamanho em bytes de uma resposta
+ * @param {any} data - Dados a armazenar
+ * @returns {number} Tamanho aproximado
+ */
+function estimateSize(data) {
+  return JSON.stringify(data).length * 2; // UTF-16
+}
+
+/**
+ * Calcula totais do store (uma vez por sessão)
+ * @returns {Promise<Object>} Totais { entries, bytes }
+ */
+async function loadStats() {
+  if (stats) return stats;
+
+  const entries = await withStore(STORES.responses, 'readonly', (store) => store.getAll());
+  stats = {
+    entries: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0)
+  };
+  return stats;
+}
+
+/**
+ * Converte chave antiga do localStorage no formato atual de api.js
+ * Buscas ganharam tipo e ano na chave (search_<termo>_<página>_<tipo>_<ano>);
+ * as antigas eram sempre type=movie e sem ano. Detalhes mantêm o formato
+ * @param {string} legacyKey - Chave com prefixo omdb_
+ * @returns {string} Chave atual
+ */
+function toCurrentKey(legacyKey) {
+  const key = legacyKey.slice(LEGACY_PREFIX.length);
+  return getCacheKind(key) === 'search' ? `${key}_movie_any` : key;
+}
+
+/**
+ * Migra entradas antigas do localStorage (omdb_*) para o IndexedDB
+ * Executada uma vez; entradas expiradas são descartadas
+ * @returns {Promise<void>}
+ */
+export function migrateLegacyCache() {
+  if (migration) return migration;
+
+  migration = (async () => {
+    let keys = [];
+    try {
+      keys = Object.keys(localStorage).filter((key) => key.startsWith(LEGACY_PREFIX));
+    } catch (e) {
+      console.warn('Erro ao acessar localStorage:', e);
+      return;
+    }
+
+    if (keys.length === 0) return;
+
+    const entries = [];
+    keys.forEach((legacyKey) => {
+      try {
+        const { data, timestamp } = JSON.parse(localStorage.getItem(legacyKey));
+        const entry = {
+          key: toCurrentKey(legacyKey),
+          data,
+          timestamp,
+          lastAccess: timestamp,
+          size: estimateSize(data)
+        };
+        if (data && timestamp && !isExpired(entry)) {
+          entries.push(entry);
+        }
+      } catch (e) {
+        console.warn(`Entrada de cache inválida: ${legacyKey}`, e);
+      }
+    });
+
+    await withStore(STORES.responses, 'readwrite', (store) => {
+      entries.forEach((entry) => store.put(entry));
+    });
+
+    keys.forEach((legacyKey) => localStorage.removeItem(legacyKey));
+    stats = null;
+    await enforceBudget();
+  })().catch((error) => {
+    console.warn('Erro ao migrar cache do localStorage:', error);
+  });
+
+  return migration;
+}
+
+/**
+ * Obtém entrada do cache persistente
+ * Entradas expiradas são removidas; acessos atualizam a ordem LRU
+ * @param {string} key - Chave do cache
+ * @returns {Promise<Object|null>} Entrada { key, data, timestamp } ou null
+ */
+export async function getCachedEntry(key) {
+  await migrateLegacyCache();
+
+  const entry = await withStore(STORES.responses, 'readonly', (store) => store.get(key));
+  if (!entry) return null;
+
+  if (isExpired(entry)) {
+    await deleteCachedEntry(entry);
+    return null;
+  }
+
+  entry.lastAccess = Date.now();
+  withStore(STORES.responses, 'readwrite', (store) => store.put(entry)).catch(() => {});
+  return entry;
+}
+
+/**
+ * Armazena resposta no cache persistente e aplica o orçamento
+ * @param {string} key - Chave do cache
+ * @param {any} data - Dados a armazenar
+ * @param {number} timestamp - Momento em que os dados foram obtidos
+ * @returns {Promise<void>}
+ */
+export async function setCachedEntry(key, data, timestamp = Date.now()) {
+  await migrateLegacyCache();
+  const current = await loadStats();
+
+  const size = estimateSize(data);
+  if (size > CACHE_MAX_BYTES) return;
+
+  // Lê a entrada anterior e grava na mesma transação para manter os totais corretos
+  const previous = await withStore(STORES.responses, 'readwrite', (store) => {
+    const request = store.get(key);
+    request.onsuccess = () => store.put({ key, data, timestamp, lastAccess: Date.now(), size });
+    return request;
+  });
+
+  current.entries += previous ? 0 : 1;
+  current.bytes += size - (previous?.size || 0);
+  await enforceBudget();
+}
+
+/**
+ * Remove uma entrada e atualiza os totais
+ * @param {Object} entry - Entrada a remover
+ * @returns {Promise<void>}
+ */
+async function deleteCachedEntry(entry) {
+  await withStore(STORES.responses, 'readwrite', (store) => store.delete(entry.key));
+  if (stats) {
+    stats.entries -= 1;
+    stats.bytes -= entry.size || 0;
+  }
+}
+
+/**
+ * Remove entradas menos usadas recentemente até caber no orçamento
+ * @returns {Promise<void>}
+ */
+async function enforceBudget() {
+  const current = await loadStats();
+  if (current.entries <= CACHE_MAX_ENTRIES && current.bytes <= CACHE_MAX_BYTES) return;
+
+  const db = await openDatabase();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.responses, 'readwrite');
+    const cursorRequest = transaction.objectStore(STORES.responses).index('lastAccess').openCursor();
+
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || (current.entries <= CACHE_MAX_ENTRIES && current.bytes <= CACHE_MAX_BYTES)) return;
+
+      current.entries -= 1;
+      current.bytes -= cursor.value.size || 0;
+      cursor.delete();
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Lista entradas válidas de um tipo (ex: todas as buscas em cache)
+ * @param {string} kind - Tipo da resposta
+ * @returns {Promise<Object[]>} Entradas não expiradas
+ */
+export async function getCachedEntries(kind) {
+  await migrateLegacyCache();
+  const entries = await withStore(STORES.responses, 'readonly', (store) =>
+    store.getAll(IDBKeyRange.bound(`${kind}_`, `${kind}_\uffff`))
+  );
+  return entries.filter((entry) => !isExpired(entry));
+}
+
+/**
+ * Remove todas as respostas do cache persistente
+ * @returns {Promise<void>}
+ */
+export async function clearCachedEntries() {
+  await withStore(STORES.responses, 'readwrite', (store) => store.clear());
+  stats = { entries: 0, bytes: 0 };
+}
+
+/**
+ * Obtém totais do cache persistente
+ * @returns {Promise<Object>} Totais { entries, bytes, maxEntries, maxBytes }
+ */
+export async function getCachedEntriesStats() {
+  await migrateLegacyCache();
+  const { entries, bytes } = await loadStats();
+  return { entries, bytes, maxEntries: CACHE_MAX_ENTRIES, maxBytes: CACHE_MAX_BYTES };
+}
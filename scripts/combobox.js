@@ -0,0 +1,258 @@
+/**
+ * Combobox de busca com lista de sugestões (padrão ARIA 1.2 combobox + listbox)
+ * O foco fica sempre no campo; a opção ativa é indicada por aria-activedescendant
+ * @module combobox
+ */
+
+import { renderSearchSuggestions } from './ui.js';
+
+/**
+ * Classe que liga o campo de busca à lista de sugestões
+ */
+export class SearchCombobox {
+  /**
+   * @param {HTMLInputElement} input - Campo com role="combobox"
+   * @param {HTMLElement} popup - Contêiner da lista (listbox e botão de limpar)
+   * @param {Object} options - Elementos e callbacks
+   * @param {HTMLElement} options.status - Região viva que anuncia as sugestões (fora do popup, que fica oculto)
+   * @param {Function} options.getSuggestions - Recebe o texto digitado e resolve { recent, titles }
+   * @param {Function} options.onSelect - Recebe o valor escolhido
+   * @param {Function} options.onRemove - Recebe a busca a remover do histórico
+   * @param {Function} options.onClear - Apaga todo o histórico
+   */
+  constructor(input, popup, { status, getSuggestions, onSelect, onRemove, onClear }) {
+    this.input = input;
+    this.popup = popup;
+    this.listbox = popup.querySelector('[role="listbox"]');
+    this.clearButton = popup.querySelector('[data-suggestion-action="clear"]');
+    this.status = status;
+    this.getSuggestions = getSuggestions;
+    this.onSelect = onSelect;
+    this.onRemove = onRemove;
+    this.onClear = onClear;
+    this.activeIndex = -1;
+    this.requestId = 0;
+
+    this.input.addEventListener('input', () => this.update());
+    this.input.addEventListener('click', () => {
+      if (!this.isOpen()) this.update();
+    });
+    this.input.addEventListener('keydown', this.handleKeydown.bind(this));
+    this.input.addEventListener('blur', this.handleBlur.bind(this));
+    this.clearButton?.addEventListener('blur', this.handleBlur.bind(this));
+
+    // Mantém o foco no campo ao clicar nas opções
+    this.listbox.addEventListener('mousedown', (e) => e.preventDefault());
+    this.listbox.addEventListener('click', this.handleListClick.bind(this));
+    this.clearButton?.addEventListener('click', () => this.clearHistory());
+  }
+
+  /**
+   * Verifica se a lista está aberta
+   * @returns {boolean} True se aberta
+   */
+  isOpen() {
+    return this.input.getAttribute('aria-expanded') === 'true';
+  }
+
+  /**
+   * Opções exibidas
+   * @returns {HTMLElement[]} Elementos com role="option"
+   */
+  getOptions() {
+    return [...this.listbox.querySelectorAll('[role="option"]')];
+  }
+
+  /**
+   * Busca as sugestões do texto atual e abre (ou fecha) a lista
+   * @param {Object} options - Opções
+   * @param {number} options.activeIndex - Opção a ativar depois de renderizar (-1 nenhuma)
+   */
+  async update({ activeIndex = -1 } = {}) {
+    const requestId = ++this.requestId;
+    const suggestions = await this.getSuggestions(this.input.value.trim());
+
+    // Descarta resposta de uma digitação anterior
+    if (requestId !== this.requestId) return;
+
+    renderSearchSuggestions(this.listbox, suggestions);
+    const count = this.getOptions().length;
+    if (this.clearButton) {
+      this.clearButton.hidden = !suggestions.hasHistory;
+    }
+
+    if (count === 0 && !suggestions.hasHistory) {
+      this.close();
+      return;
+    }
+
+    if (!this.isOpen() || this.status.dataset.count !== String(count)) {
+      this.status.dataset.count = String(count);
+      this.status.textContent = count === 0
+        ? 'Nenhuma sugestão.'
+        : `${count} ${count === 1 ? 'sugestão' : 'sugestões'}. Use as setas para escolher.`;
+    }
+
+    this.popup.hidden = false;
+    this.input.setAttribute('aria-expanded', 'true');
+    this.setActive(Math.min(activeIndex, count - 1));
+  }
+
+  /**
+   * Fecha a lista
+   */
+  close() {
+    this.requestId++;
+    this.popup.hidden = true;
+    this.input.setAttribute('aria-expanded', 'false');
+    this.status.textContent = '';
+    delete this.status.dataset.count;
+    this.setActive(-1);
+  }
+
+  /**
+   * Marca uma opção como ativa (sem tirar o foco do campo)
+   * @param {number} index - Índice da opção (-1 nenhuma)
+   */
+  setActive(index) {
+    const options = this.getOptions();
+    this.activeIndex = index;
+
+    options.forEach((option, i) => {
+      option.setAttribute('aria-selected', String(i === index));
+    });
+
+    const active = options[index];
+    if (active) {
+      this.input.setAttribute('aria-activedescendant', active.id);
+      active.scrollIntoView?.({ block: 'nearest' });
+    } else {
+      this.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * Move a opção ativa, voltando ao início ou ao fim nas pontas
+   * @param {number} step - 1 para baixo, -1 para cima
+   */
+  move(step) {
+    const count = this.getOptions().length;
+    if (count === 0) return;
+
+    const next = this.activeIndex === -1
+      ? (step > 0 ? 0 : count - 1)
+      : (this.activeIndex + step + count) % count;
+    this.setActive(next);
+  }
+
+  /**
+   * Escolhe uma opção: preenche o campo, fecha a lista e avisa o chamador
+   * @param {HTMLElement} option - Elemento da opção
+   */
+  select(option) {
+    const { value } = option.dataset;
+    this.input.value = value;
+    this.close();
+    this.onSelect(value);
+  }
+
+  /**
+   * Remove uma busca do histórico e mantém a lista aberta na mesma posição
+   * @param {HTMLElement} option - Opção de busca recente
+   */
+  async remove(option) {
+    // Pelo teclado, a opção seguinte fica ativa; com o mouse, nenhuma
+    const index = this.activeIndex === -1 ? -1 : this.getOptions().indexOf(option);
+    this.onRemove(option.dataset.value);
+    await this.update({ activeIndex: index });
+    this.status.textContent = `"${option.dataset.value}" removida do histórico.`;
+  }
+
+  /**
+   * Apaga o histórico inteiro e devolve o foco ao campo
+   */
+  async clearHistory() {
+    this.onClear();
+    this.input.focus();
+    await this.update();
+    this.status.textContent = 'Histórico de buscas apagado.';
+  }
+
+  /**
+   * Teclado no campo (setas, Enter, Escape e Delete)
+   * @param {KeyboardEvent} e - Evento de teclado
+   */
+  handleKeydown(e) {
+    const active = this.getOptions()[this.activeIndex];
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (!this.isOpen()) {
+          // Alt+seta só abre; seta sozinha já ativa a primeira opção
+          this.update({ activeIndex: e.altKey ? -1 : 0 });
+        } else {
+          this.move(1);
+        }
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        if (!this.isOpen()) {
+          this.update({ activeIndex: Infinity });
+        } else if (e.altKey) {
+          this.close();
+        } else {
+          this.move(-1);
+        }
+        break;
+      case 'Enter':
+        // Sem opção ativa o Enter segue para o formulário (busca o texto digitado)
+        if (this.isOpen() && active) {
+          e.preventDefault();
+          this.select(active);
+        } else {
+          this.close();
+        }
+        break;
+      case 'Escape':
+        if (this.isOpen()) {
+          e.preventDefault();
+          this.close();
+        }
+        break;
+      case 'Delete':
+        if (this.isOpen() && active?.dataset.kind === 'recent') {
+          e.preventDefault();
+          this.remove(active);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Fecha a lista quando o foco sai do campo e do contêiner de sugestões
+   * Tab do campo para o botão "Limpar histórico" mantém a lista aberta
+   * @param {FocusEvent} e - Evento de blur
+   */
+  handleBlur(e) {
+    if (e.relatedTarget && (e.relatedTarget === this.input || this.popup.contains(e.relatedTarget))) return;
+    this.close();
+  }
+
+  /**
+   * Cliques nas opções e nos botões de remover
+   * @param {MouseEvent} e - Evento de clique
+   */
+  handleListClick(e) {
+    const option = e.target.closest('[role="option"]');
+    if (!option) return;
+
+    if (e.target.closest('[data-suggestion-action="remove"]')) {
+      this.remove(option);
+    } else {
+      this.select(option);
+    }
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Comparação lado a lado: filmes escolhidos (salvos no navegador) e destaques da tabela
+ * @module compare
+ */
+
+import { MAX_COMPARE_MOVIES } from './config.js';
+import { extractImdbId } from './utils.js';
+
+const COMPARE_STORAGE_KEY = 'top-fimes:compare';
+
+/**
+ * Normaliza lista de IDs: só IDs IMDb válidos, sem repetição e no máximo MAX_COMPARE_MOVIES
+ * @param {string[]} ids - IDs brutos (ex: vindos da URL)
+ * @returns {string[]} IDs válidos
+ */
+export function normalizeCompareIds(ids) {
+  return [...new Set(ids.map(extractImdbId).filter(Boolean))].slice(0, MAX_COMPARE_MOVIES);
+}
+
+/**
+ * Lê os filmes escolhidos para comparar
+ * @returns {string[]} IDs IMDb, na ordem em que foram escolhidos
+ */
+export function getCompareIds() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY));
+    return Array.isArray(stored) ? normalizeCompareIds(stored) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Salva os filmes escolhidos para comparar
+ * @param {string[]} ids - IDs IMDb
+ * @returns {string[]} IDs salvos (normalizados)
+ */
+export function saveCompareIds(ids) {
+  const normalized = normalizeCompareIds(ids);
+  try {
+    localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(normalized));
+  } catch (e) {
+    console.warn('Erro ao salvar comparação:', e);
+  }
+  return normalized;
+}
+
+/**
+ * Converte duração do OMDb em minutos
+ * @param {string} runtime - Duração (ex: "136 min" ou "N/A")
+ * @returns {number|null} Minutos ou null se desconhecida
+ */
+export function parseRuntime(runtime) {
+  const minutes = parseInt(runtime, 10);
+  return minutes > 0 ? minutes : null;
+}
+
+/**
+ * Escolhe os filmes em destaque na comparação (empates destacam todos)
+ * Só há destaque quando pelo menos dois filmes têm o valor
+ * @param {Object[]} movies - Detalhes dos filmes comparados
+ * @returns {Object} { bestRating, shortestRuntime } com Sets de imdbID
+ */
+export function getComparisonHighlights(movies) {
+  const pick = (getValue, better) => {
+    const known = movies
+      .map((movie) => ({ id: movie.imdbID, value: getValue(movie) }))
+      .filter(({ value }) => value !== null);
+    if (known.length < 2) return new Set();
+
+    const target = known.reduce((best, { value }) => better(value, best) ? value : best, known[0].value);
+    return new Set(known.filter(({ value }) => value === target).map(({ id }) => id));
+  };
+
+  return {
+    bestRating: pick((movie) => {
+      const rating = parseFloat(movie.imdbRating);
+      return Number.isNaN(rating) ? null : rating;
+    }, (a, b) => a > b),
+    shortestRuntime: pick((movie) => parseRuntime(movie.Runtime), (a, b) => a < b)
+  };
+}
@@ -8,6 +8,14 @@
 export const OMDB_API_KEY = 'YOUR_API_KEY_HERE';
 export const OMDB_BASE_URL = 'https://www.omdbapi.com/';
 
+/**
+ * Provedor de dados
+ * 'omdb' - API online (exige OMDB_API_KEY)
+ * 'local' - Catálogo JSON empacotado, sem chave e sem rede (demos, desenvolvimento e testes)
+ */
+export const DATA_PROVIDER = 'omdb';
+export const LOCAL_CATALOG_URL = 'assets/catalog.json';
+
 /**
  * Filmes populares para a landing page
  * A API OMDb não possui endpoint de trending, então usamos termos predefinidos
@@ -25,16 +33,74 @@ export const POPULAR_MOVIES_TERMS = [
   'Forrest Gump'
 ];
 
+/**
+ * Filtros de busca
+ * SEARCH_TYPES são os valores aceitos pelo parâmetro type do OMDb ('' = todos)
+ * Faixas de anos viram uma busca por ano, limitadas a MAX_YEAR_RANGE anos
+ */
+export const SEARCH_TYPES = ['movie', 'series', 'episode'];
+export const DEFAULT_SEARCH_TYPE = 'movie';
+export const MIN_SEARCH_YEAR = 1888;
+export const MAX_SEARCH_YEAR = new Date().getFullYear() + 5;
+export const MAX_YEAR_RANGE = 10;
+
 /**
  * Configurações de performance
  */
 export const DEBOUNCE_DELAY = 300;
 export const SEARCH_TIMEOUT = 8000;
+
+/**
+ * Novas tentativas para falhas passageiras (rede, HTTP 5xx e 429)
+ * Espera exponencial com jitter: RETRY_BASE_DELAY * 2^tentativa, limitada a RETRY_MAX_DELAY
+ */
+export const MAX_RETRIES = 2;
+export const RETRY_BASE_DELAY = 500;
+export const RETRY_MAX_DELAY = 4000;
+export const QUOTA_RESET_UTC_HOUR = 0; // Limite diário da chave OMDb volta à meia-noite (UTC)
 export const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 horas em ms
 
+/**
+ * Cache de respostas do OMDb (IndexedDB)
+ * TTL por tipo de resposta; detalhes mudam pouco e podem durar mais que buscas
+ * Ao passar do limite de entradas ou bytes, as menos usadas recentemente são removidas
+ */
+export const CACHE_TTL = {
+  search: CACHE_DURATION,
+  searchall: CACHE_DURATION,
+  detail: 7 * CACHE_DURATION,
+  season: 7 * CACHE_DURATION,
+  episode: 7 * CACHE_DURATION
+};
+export const CACHE_MAX_ENTRIES = 500;
+export const CACHE_MAX_BYTES = 5 * 1024 * 1024; // 5 MB
+
+/**
+ * Após este tempo, buscas e detalhes em cache são exibidos na hora
+ * e atualizados em segundo plano (stale-while-revalidate)
+ */
+export const CACHE_STALE_AFTER = {
+  search: 60 * 60 * 1000, // 1 hora
+  detail: 24 * 60 * 60 * 1000 // 24 horas
+};
+
 /**
  * Constantes de UI
  */
 export const ITEMS_PER_PAGE = 10;
+export const MAX_OMDB_PAGE = 100; // OMDb só aceita page entre 1 e 100
+export const PAGINATION_SIBLINGS = 1; // Páginas vizinhas exibidas ao redor da atual
+export const PAGINATION_MODES = ['pages', 'infinite', 'all'];
+export const DEFAULT_PAGINATION_MODE = 'pages';
+export const INFINITE_SCROLL_MARGIN = '400px'; // Antecipa o carregamento antes do fim da grade
+export const RATINGS_BATCH_SIZE = 10; // Notas IMDb buscadas por vez na ordenação por nota (só cards na tela)
+export const ALL_RESULTS_CONCURRENCY = 3; // Páginas buscadas em paralelo no modo "todos os resultados"
+export const MAX_CONCURRENT_REQUESTS = 4; // Requisições simultâneas ao OMDb (as demais aguardam na fila)
 export const SKELETON_CARDS_COUNT = 6;
+export const MAX_RECENT_SEARCHES = 10; // Buscas guardadas no histórico
+export const MAX_SUGGESTIONS = 5; // Sugestões por grupo (histórico e títulos em cache)
+export const DID_YOU_MEAN_ATTEMPTS = 4; // Variantes testadas no OMDb quando a busca não encontra nada
+export const DID_YOU_MEAN_LIMIT = 3; // Alternativas exibidas em "Você quis dizer"
+export const EXACT_TITLE_MAX_PAGES = 5; // Páginas do OMDb percorridas procurando um título exato
+export const MAX_COMPARE_MOVIES = 4; // Filmes lado a lado na comparação
 export const MODAL_FOCUS_SELECTOR = '[role="dialog"] h2';
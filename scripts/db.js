@@ -0,0 +1,82 @@
+/**
+ * Acesso ao IndexedDB da aplicação
+ * @module db
+ */
+
+const DB_NAME = 'top-fimes';
+const DB_VERSION = 2;
+
+/**
+ * Object stores disponíveis
+ */
+export const STORES = {
+  watchlist: 'watchlist',
+  responses: 'responses'
+};
+
+let dbPromise = null;
+
+/**
+ * Cria/atualiza object stores conforme a versão do banco
+ * @param {IDBDatabase} db - Banco em upgrade
+ * @param {number} oldVersion - Versão anterior (0 se novo)
+ */
+function upgradeDatabase(db, oldVersion) {
+  if (oldVersion < 1) {
+    const watchlist = db.createObjectStore(STORES.watchlist, { keyPath: 'imdbID' });
+    watchlist.createIndex('addedAt', 'addedAt');
+  }
+
+  if (oldVersion < 2) {
+    const responses = db.createObjectStore(STORES.responses, { keyPath: 'key' });
+    responses.createIndex('lastAccess', 'lastAccess');
+  }
+}
+
+/**
+ * Abre (uma única vez) a conexão com o banco
+ * @returns {Promise<IDBDatabase>} Conexão aberta
+ * @throws {Error} Se IndexedDB não estiver disponível
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB não disponível neste navegador.'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Permite nova tentativa se a abertura falhar
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Executa operação em um object store dentro de uma transação
+ * @param {string} storeName - Nome do object store
+ * @param {IDBTransactionMode} mode - 'readonly' ou 'readwrite'
+ * @param {Function} operation - Recebe o store e retorna um IDBRequest (opcional)
+ * @returns {Promise<any>} Resultado do request ao final da transação
+ */
+export async function withStore(storeName, mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,140 @@
+/**
+ * Erros tipados da comunicação com o OMDb
+ * Cada classe indica a causa para a interface oferecer a ação certa
+ * (tentar de novo, configurar a chave, limpar filtros)
+ * @module errors
+ */
+
+/**
+ * Erro base das requisições ao OMDb
+ */
+export class APIError extends Error {
+  /**
+   * @param {string} message - Mensagem para o usuário
+   * @param {Object} options - Detalhes do erro
+   * @param {number} options.status - Status HTTP (se houver)
+   * @param {Error} options.cause - Erro original
+   */
+  constructor(message, { status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'APIError';
+    this.status = status;
+  }
+}
+
+/**
+ * API key ausente ou inválida (ou provedor de dados desconhecido)
+ */
+export class ConfigurationError extends APIError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'ConfigurationError';
+  }
+}
+
+/**
+ * Busca sem resultados ou título/temporada/episódio inexistente
+ */
+export class NotFoundError extends APIError {
+  constructor(message = 'Nenhum resultado encontrado.', options = {}) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Filtros de busca que não podem ser enviados (ex: faixa de anos grande demais)
+ */
+export class FilterError extends APIError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'FilterError';
+  }
+}
+
+/**
+ * Sem conexão com o servidor (fetch rejeitado pela rede)
+ */
+export class NetworkError extends APIError {
+  constructor(options = {}) {
+    super('Erro de conexão. Verifique sua internet e tente novamente.', options);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Requisição passou de SEARCH_TIMEOUT sem resposta
+ */
+export class TimeoutError extends APIError {
+  constructor(options = {}) {
+    super('O servidor demorou demais para responder.', options);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Requisição cancelada pelo app ou pelo usuário
+ * name é 'AbortError', como o erro do fetch, para quem já verifica error.name
+ */
+export class AbortedError extends APIError {
+  constructor(message = 'Requisição cancelada.', options = {}) {
+    super(message, options);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Falha no servidor do OMDb (HTTP 5xx), normalmente passageira
+ */
+export class ServerError extends APIError {
+  constructor(status, options = {}) {
+    super(`O OMDb está com problemas (HTTP ${status}). Tente novamente em instantes.`, { ...options, status });
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * Limite de requisições atingido
+ * daily = limite diário da chave (só volta em resetAt); caso contrário é passageiro (HTTP 429)
+ */
+export class RateLimitError extends APIError {
+  /**
+   * @param {Object} options - Detalhes do limite
+   * @param {boolean} options.daily - Se é o limite diário da chave
+   * @param {Date} options.resetAt - Quando o limite volta
+   * @param {number} options.retryAfter - Espera sugerida pelo servidor em ms (HTTP 429)
+   */
+  constructor({ daily = false, resetAt = null, retryAfter = null, ...options } = {}) {
+    super(
+      daily
+        ? `Limite diário da API atingido. Apenas dados em cache até ${formatResetTime(resetAt)}.`
+        : 'Muitas requisições ao OMDb. Tente novamente em instantes.',
+      { ...options, status: daily ? 401 : 429 }
+    );
+    this.name = 'RateLimitError';
+    this.daily = daily;
+    this.resetAt = resetAt;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Formata horário de liberação do limite (ex: "21:00")
+ * @param {Date|null} resetAt - Momento da liberação
+ * @returns {string} Horário local ou texto genérico
+ */
+export function formatResetTime(resetAt) {
+  if (!resetAt) return 'amanhã';
+  return resetAt.toLocaleString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Verifica se vale tentar a requisição de novo
+ * Falhas de rede, HTTP 5xx e HTTP 429 são passageiras; o limite diário não é
+ * @param {Error} error - Erro da requisição
+ * @returns {boolean} True se for passageiro
+ */
+export function isTransientError(error) {
+  if (error instanceof RateLimitError) return !error.daily;
+  return error instanceof ServerError || error instanceof NetworkError;
+}
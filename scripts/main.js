@@ -3,28 +3,126 @@
  * @module main
  */
 
-import { OMDB_API_KEY, POPULAR_MOVIES_TERMS, SKELETON_CARDS_COUNT } from './config.js';
-import { searchMovies, getMovieDetails } from './api.js';
+import {
+  POPULAR_MOVIES_TERMS,
+  SKELETON_CARDS_COUNT,
+  MAX_SUGGESTIONS,
+  DID_YOU_MEAN_ATTEMPTS,
+  DID_YOU_MEAN_LIMIT,
+  EXACT_TITLE_MAX_PAGES,
+  MAX_COMPARE_MOVIES,
+  PAGINATION_MODES,
+  DEFAULT_PAGINATION_MODE,
+  INFINITE_SCROLL_MARGIN,
+  RATINGS_BATCH_SIZE
+} from './config.js';
+import {
+  searchMovies,
+  searchAllMovies,
+  getMovieDetails,
+  getSeason,
+  getEpisode,
+  getTotalPages,
+  clearCache,
+  getCacheStats,
+  getLastUpdated,
+  isRangePart,
+  replaceRangePart,
+  getQuotaStatus,
+  isConfigured,
+  saveAPIKey,
+  removeAPIKey,
+  apiEvents
+} from './api.js';
 import {
   renderMovieGrid,
   renderLoadingState,
   renderErrorState,
+  renderDidYouMean,
+  renderModalError,
   renderMovieDetails,
+  renderEpisodeList,
+  renderEpisodeDetails,
   updateResultsCount,
+  updateSearchError,
   renderPagination,
-  updateMetaTags
+  renderInfiniteStatus,
+  renderSearchProgress,
+  renderRefinementChips,
+  renderLastUpdated,
+  updateQuotaBanner,
+  renderSettingsDialog,
+  updateSettingsStatus,
+  toggleUpdateToast,
+  renderStorageStats,
+  updateOfflineBanner,
+  renderOfflineResultsNote,
+  updateCardRating,
+  updateMetaTags,
+  updateWatchlistButtons,
+  updateCompareButtons,
+  updateCompareBar,
+  renderComparison
 } from './ui.js';
 import { AccessibleModal, createModalElement } from './modal.js';
-import { debounce, getErrorMessage, isValidAPIKey } from './utils.js';
+import { getAPIKeySource, getStoredAPIKey, maskAPIKey } from './settings.js';
+import { registerServiceWorker, activateUpdate, getServiceWorkerCacheSizes } from './pwa.js';
+import { isOffline, searchOffline, getOfflineMovieIds, getOfflineMovieSummary, getCachedTitles } from './offline.js';
+import { getRecentSearches, addRecentSearch, removeRecentSearch, clearRecentSearches } from './recent.js';
+import { SearchCombobox } from './combobox.js';
+import { parseSearchQuery, formatSearchQuery, matchesExactTitle } from './query.js';
+import { getRelaxedTerms } from './suggest.js';
+import { getCompareIds, saveCompareIds, getComparisonHighlights } from './compare.js';
+import { SORT_OPTIONS, createRefineState, isRefined, refineMovies, getDecades } from './refine.js';
+import { parseRoute, updateRoute } from './router.js';
+import {
+  addToWatchlist,
+  removeFromWatchlist,
+  getWatchlist,
+  getWatchlistIds,
+  getWatchlistMovie
+} from './watchlist.js';
+import { debounce, getErrorMessage, normalizeFilters, sanitizeString, matchesWordPrefixes } from './utils.js';
+import { NotFoundError, NetworkError, AbortedError } from './errors.js';
 
 // Estado da aplicação
 const appState = {
-  currentSearchTerm: '',
+  currentView: 'search',
+  currentSearchTerm: '', // Termo enviado ao OMDb (sem operadores)
+  currentQueryText: '', // Texto do campo na última busca (com operadores)
+  exactTitle: false, // Busca por "título exato": só títulos iguais ao termo
+  currentFilters: normalizeFilters(),
   currentPage: 1,
+  startPage: 1, // Página inicial da busca (na rolagem infinita, currentPage avança)
+  totalPages: 0,
   totalResults: 0,
+  paginationMode: DEFAULT_PAGINATION_MODE,
+  loadingMore: false,
+  scrollObserver: null,
   currentMovies: [],
+  shownResponses: [], // Respostas de busca exibidas (atualizadas em segundo plano)
+  offlineResults: false, // Resultados exibidos vieram do cache offline (podem estar incompletos)
+  partialResults: false, // Parte da busca falhou (ano de uma faixa ou página de "todos os resultados")
+  refine: createRefineState(),
+  ratingsRequested: new Set(),
+  ratingsController: null,
+  ratingsObserver: null, // Observa os cards sem nota na ordenação por nota
+  openMovieId: null,
+  restoringHistory: false,
   movieDetailsCache: new Map(),
-  abortController: null
+  watchlistIds: new Set(),
+  offlineIds: new Set(), // Filmes com detalhes em cache (abrem sem conexão)
+  compareIds: getCompareIds(), // Filmes escolhidos para comparar, na ordem de escolha
+  comparedIds: [], // Filmes na tabela de comparação (a seleção ou os de um link recebido)
+  suggestionTitles: null, // Títulos em cache para as sugestões (recarregados a cada foco na busca)
+  abortController: null,
+  cancelledController: null,
+  seasonController: null,
+  episodeController: null,
+  quotaTimer: null,
+  settingsController: null,
+  waitingWorker: null, // Versão nova do Service Worker esperando confirmação
+  retryAction: null // Refaz a última operação que falhou (botão "Tentar novamente")
 };
 
 // Elementos do DOM
@@ -34,25 +132,356 @@ let elements = {};
  * Inicializa aplicação
  */
 async function init() {
-  // Valida API key
-  if (!isValidAPIKey(OMDB_API_KEY)) {
-    showAPIKeyWarning();
-    return;
-  }
-
   // Cache de elementos do DOM
   cacheElements();
 
   // Cria modal
   const modal = createModalElement();
   document.body.appendChild(modal);
-  elements.modal = new AccessibleModal(modal);
+  elements.modal = new AccessibleModal(modal, { onClose: handleModalClose });
+
+  // Diálogo de configurações (chave do OMDb)
+  const settingsModal = createModalElement('settings-title');
+  document.body.appendChild(settingsModal);
+  elements.settingsModal = new AccessibleModal(settingsModal, {
+    onClose: () => appState.settingsController?.abort()
+  });
 
   // Configura event listeners
   setupEventListeners();
 
-  // Carrega filmes populares na inicialização
-  await loadPopularMovies();
+  // Rolagem infinita ou paginação (preferência salva)
+  setupInfiniteScroll();
+
+  // Aviso de cota esgotada (estado salvo de sessões anteriores)
+  handleQuotaChange();
+
+  // Aviso de conexão perdida
+  updateOfflineBanner(elements.offlineBanner, isOffline());
+
+  // Filmes escolhidos para comparar em visitas anteriores
+  updateCompareBar(elements.compareBar, appState.compareIds.length, MAX_COMPARE_MOVIES);
+
+  // Service Worker: versão nova só assume depois que o usuário confirmar
+  registerServiceWorker({ onUpdate: handleUpdateAvailable });
+
+  // IDs da lista para marcar os cards
+  try {
+    appState.watchlistIds = await getWatchlistIds();
+  } catch (error) {
+    console.warn('Erro ao carregar lista:', error);
+  }
+
+  // IDs com detalhes em cache para o selo "Disponível offline"
+  try {
+    appState.offlineIds = await getOfflineMovieIds();
+  } catch (error) {
+    console.warn('Erro ao ler cache offline:', error);
+  }
+
+  // Rolagem é restaurada manualmente no popstate
+  if ('scrollRestoration' in history) {
+    history.scrollRestoration = 'manual';
+  }
+
+  // Restaura a view descrita na URL (ou carrega filmes populares)
+  await restoreRoute(parseRoute());
+
+  // Sem chave (e sem provedor local) a busca não funciona: pede a chave logo de início
+  if (!isConfigured()) {
+    openSettings();
+  }
+}
+
+/**
+ * Restaura busca, página e filme aberto a partir da URL
+ * @param {Object} route - Rota obtida por parseRoute
+ */
+async function restoreRoute(route) {
+  if (route.view === 'watchlist') {
+    await showWatchlist({ historyMode: 'replace' });
+  } else if (route.view === 'compare') {
+    // Link recebido: mostra os filmes sem trocar a seleção salva neste navegador
+    await showComparison({ ids: route.compareIds, historyMode: 'replace' });
+  } else if (route.searchTerm) {
+    elements.searchInput.value = route.searchTerm;
+    applyFiltersToForm(route.filters);
+    await performSearch({ page: route.page, historyMode: 'replace' });
+  } else {
+    await loadPopularMovies();
+    if (route.showPopular) {
+      elements.resultsContainer?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }
+
+  if (route.focusSearch) {
+    elements.searchInput?.focus();
+  }
+
+  if (route.imdbId) {
+    await openMovieDetails(route.imdbId, null, { historyMode: 'replace' });
+  }
+}
+
+/**
+ * Restaura a view ao navegar com Voltar/Avançar
+ * Resultados vêm do cache de api.js, então não há nova requisição
+ * @param {PopStateEvent} event - Evento popstate
+ */
+async function handlePopState(event) {
+  const route = parseRoute();
+
+  if (route.imdbId !== appState.openMovieId && elements.modal.isOpen()) {
+    appState.restoringHistory = true;
+    elements.modal.close();
+    appState.restoringHistory = false;
+  }
+
+  const viewChanged = route.view !== appState.currentView;
+  const searchChanged = route.searchTerm !== formatSearchQuery({ term: appState.currentSearchTerm, exact: appState.exactTitle }) ||
+    (route.searchTerm && route.page !== appState.startPage) ||
+    (route.searchTerm && !filtersEqual(route.filters, appState.currentFilters));
+
+  if (route.view === 'watchlist') {
+    if (viewChanged) {
+      await showWatchlist({ historyMode: 'none' });
+      window.scrollTo(0, event.state?.scrollY || 0);
+    }
+  } else if (route.view === 'compare') {
+    if (viewChanged || route.compareIds.join() !== appState.comparedIds.join()) {
+      await showComparison({ ids: route.compareIds, historyMode: 'none' });
+      window.scrollTo(0, event.state?.scrollY || 0);
+    }
+  } else if (viewChanged || searchChanged) {
+    elements.searchInput.value = route.searchTerm;
+    applyFiltersToForm(route.filters);
+    if (route.searchTerm) {
+      await performSearch({ page: route.page, historyMode: 'none' });
+    } else {
+      appState.currentSearchTerm = '';
+      appState.currentQueryText = '';
+      appState.exactTitle = false;
+      appState.currentPage = 1;
+      appState.startPage = 1;
+      await loadPopularMovies();
+    }
+    window.scrollTo(0, event.state?.scrollY || 0);
+  }
+
+  if (route.imdbId && route.imdbId !== appState.openMovieId) {
+    await openMovieDetails(route.imdbId, null, { historyMode: 'none' });
+  }
+}
+
+/**
+ * Reflete o estado atual (busca, página, filme aberto) na URL
+ * @param {string} historyMode - 'push', 'replace' ou 'none'
+ * @param {Object} state - Dados extras para a entrada do histórico
+ */
+function syncRoute(historyMode = 'replace', state = {}) {
+  if (historyMode === 'none') return;
+  updateRoute({
+    view: appState.currentView,
+    searchTerm: formatSearchQuery({ term: appState.currentSearchTerm, exact: appState.exactTitle }),
+    filters: appState.currentFilters,
+    page: appState.startPage,
+    imdbId: appState.openMovieId,
+    compareIds: appState.comparedIds
+  }, { push: historyMode === 'push', state });
+}
+
+/**
+ * Lê filtros do formulário de busca
+ * @returns {Object} Filtros normalizados
+ */
+function readFilters() {
+  return normalizeFilters({
+    type: elements.filterType?.value,
+    yearFrom: elements.filterYearFrom?.value,
+    yearTo: elements.filterYearTo?.value
+  });
+}
+
+/**
+ * Preenche o formulário com filtros (ex: vindos da URL)
+ * @param {Object} filters - Filtros normalizados
+ */
+function applyFiltersToForm(filters) {
+  if (!elements.filterType) return;
+  elements.filterType.value = filters.type;
+  elements.filterYearFrom.value = filters.yearFrom || '';
+  elements.filterYearTo.value = filters.yearTo && filters.yearTo !== filters.yearFrom ? filters.yearTo : '';
+}
+
+/**
+ * Compara dois conjuntos de filtros normalizados
+ * @param {Object} a - Filtros
+ * @param {Object} b - Filtros
+ * @returns {boolean} True se iguais
+ */
+function filtersEqual(a, b) {
+  return a.type === b.type && a.yearFrom === b.yearFrom && a.yearTo === b.yearTo;
+}
+
+/**
+ * Limpa o filme aberto da URL ao fechar o modal
+ */
+function handleModalClose() {
+  appState.openMovieId = null;
+  appState.episodeController?.abort();
+  if (appState.restoringHistory) return;
+
+  // Se o modal criou uma entrada no histórico, volta para ela em vez de empilhar outra
+  if (history.state?.modal) {
+    history.back();
+    return;
+  }
+  syncRoute();
+}
+
+/**
+ * Configura modo de exibição e observer da rolagem infinita
+ */
+function setupInfiniteScroll() {
+  try {
+    const savedMode = localStorage.getItem('top-fimes:pagination-mode');
+    if (PAGINATION_MODES.includes(savedMode)) {
+      appState.paginationMode = savedMode;
+    }
+  } catch (e) {
+    console.warn('Erro ao ler preferência de exibição:', e);
+  }
+
+  if (elements.paginationMode) {
+    elements.paginationMode.value = appState.paginationMode;
+    elements.paginationMode.addEventListener('change', handlePaginationModeChange);
+  }
+
+  if (!('IntersectionObserver' in window) || !elements.scrollSentinel) return;
+
+  appState.scrollObserver = new IntersectionObserver((entries) => {
+    if (entries.some((entry) => entry.isIntersecting)) {
+      loadNextPage();
+    }
+  }, { rootMargin: INFINITE_SCROLL_MARGIN });
+}
+
+/**
+ * Troca entre paginação e rolagem infinita, refazendo a busca atual
+ */
+async function handlePaginationModeChange() {
+  const mode = elements.paginationMode.value;
+  if (!PAGINATION_MODES.includes(mode)) return;
+
+  appState.paginationMode = mode;
+  try {
+    localStorage.setItem('top-fimes:pagination-mode', mode);
+  } catch (e) {
+    console.warn('Erro ao salvar preferência de exibição:', e);
+  }
+
+  if (appState.currentView === 'search' && appState.currentSearchTerm) {
+    await performSearch({ page: appState.startPage, historyMode: 'replace' });
+  }
+}
+
+/**
+ * Renderiza controles de navegação conforme o modo (paginação ou rolagem infinita)
+ * @param {Object} state - Estado extra da rolagem infinita (loading, error)
+ */
+function renderResultsNavigation(state = {}) {
+  const hasNextPage = appState.currentPage < appState.totalPages;
+
+  // Todos os resultados já estão na grade
+  if (appState.paginationMode === 'all') {
+    appState.scrollObserver?.disconnect();
+    elements.paginationContainer.innerHTML = '';
+    return;
+  }
+
+  if (appState.paginationMode !== 'infinite') {
+    appState.scrollObserver?.disconnect();
+    renderPagination(appState.currentPage, appState.totalPages, elements.paginationContainer, handlePageChange);
+    return;
+  }
+
+  renderInfiniteStatus(elements.paginationContainer, { hasMore: hasNextPage, ...state }, loadNextPage);
+
+  // Re-observar dispara o callback de novo se a sentinela continuar visível
+  if (appState.scrollObserver) {
+    appState.scrollObserver.disconnect();
+    if (hasNextPage && !state.loading && !state.error) {
+      appState.scrollObserver.observe(elements.scrollSentinel);
+    }
+  }
+}
+
+/**
+ * Carrega a próxima página e adiciona os cards à grade (rolagem infinita)
+ */
+async function loadNextPage() {
+  const canLoad = appState.paginationMode === 'infinite' &&
+    appState.currentView === 'search' &&
+    appState.currentSearchTerm &&
+    !appState.loadingMore &&
+    appState.currentPage < appState.totalPages;
+  if (!canLoad) return;
+
+  // Cancela requisição anterior se houver
+  if (appState.abortController) {
+    appState.abortController.abort();
+  }
+
+  const controller = new AbortController();
+  appState.abortController = controller;
+  appState.loadingMore = true;
+  renderResultsNavigation({ loading: true });
+
+  const nextPage = appState.currentPage + 1;
+
+  try {
+    const result = await searchMovies(
+      appState.currentSearchTerm,
+      nextPage,
+      controller.signal,
+      appState.currentFilters
+    );
+
+    // Ignora filmes já exibidos (OMDb repete títulos entre páginas)
+    const shownIds = new Set(appState.currentMovies.map((movie) => movie.imdbID));
+    const newMovies = (result.Search || []).filter((movie) => !shownIds.has(movie.imdbID));
+
+    appState.currentPage = nextPage;
+    appState.currentMovies = [...appState.currentMovies, ...newMovies];
+    appState.shownResponses.push(result);
+    appState.partialResults = appState.partialResults || Boolean(result.partial);
+
+    // Com ordenação/refinamento ativo a grade inteira é reordenada
+    if (isRefined(appState.refine)) {
+      renderResults();
+    } else {
+      renderMovieGrid(withKnownRatings(newMovies), elements.resultsContainer, true, {
+        watchlistIds: appState.watchlistIds,
+        offlineIds: getAvailableOfflineIds(),
+        compareIds: appState.compareIds
+      });
+      renderChips(appState.currentMovies.length);
+    }
+    renderResultsCount();
+    renderResultsUpdated();
+    announce(`${newMovies.length} novo(s) filme(s) carregado(s). ${appState.currentMovies.length} no total.`);
+
+    appState.loadingMore = false;
+    renderResultsNavigation();
+  } catch (error) {
+    appState.loadingMore = false;
+    if (controller.signal.aborted) return;
+    renderResultsNavigation({ error: getErrorMessage(error) });
+  } finally {
+    if (appState.abortController === controller) {
+      appState.abortController = null;
+    }
+  }
 }
 
 /**
@@ -66,9 +495,24 @@ function cacheElements() {
     resultsContainer: document.getElementById('results-container'),
     resultsCount: document.getElementById('results-count'),
     paginationContainer: document.getElementById('pagination-container'),
+    paginationMode: document.getElementById('pagination-mode'),
+    sortSelect: document.getElementById('sort-select'),
+    refineChips: document.getElementById('refine-chips'),
+    resultsUpdated: document.getElementById('results-updated'),
+    quotaBanner: document.getElementById('quota-banner'),
+    scrollSentinel: document.getElementById('scroll-sentinel'),
+    filterType: document.getElementById('filter-type'),
+    filterYearFrom: document.getElementById('filter-year-from'),
+    filterYearTo: document.getElementById('filter-year-to'),
     headerTitle: document.querySelector('h1'),
     mainContent: document.getElementById('main-content'),
-    loadingIndicator: document.getElementById('loading-indicator')
+    loadingIndicator: document.getElementById('loading-indicator'),
+    settingsButton: document.getElementById('settings-button'),
+    updateToast: document.getElementById('update-toast'),
+    offlineBanner: document.getElementById('offline-banner'),
+    searchSuggestions: document.getElementById('search-suggestions-popup'),
+    searchError: document.getElementById('search-error'),
+    compareBar: document.getElementById('compare-bar')
   };
 }
 
@@ -79,18 +523,58 @@ function setupEventListeners() {
   // Busca de filmes
   elements.searchForm?.addEventListener('submit', (e) => {
     e.preventDefault();
-    performSearch();
+    performSearch({ remember: true });
+  });
+
+  // Sugestões: buscas recentes e títulos já vistos
+  elements.searchCombobox = new SearchCombobox(elements.searchInput, elements.searchSuggestions, {
+    status: document.getElementById('search-suggestions-status'),
+    getSuggestions: getSearchSuggestions,
+    onSelect: () => performSearch({ remember: true }),
+    onRemove: removeRecentSearch,
+    onClear: clearRecentSearches
+  });
+
+  elements.searchInput?.addEventListener('focus', () => {
+    appState.suggestionTitles = null;
   });
 
   // Debounce para busca ao digitar
+  // Só a primeira busca digitada cria entrada no histórico; as seguintes substituem
+  // Texto já buscado (Enter ou sugestão antes do debounce) não é buscado de novo
   const debouncedSearch = debounce(() => {
-    if (elements.searchInput.value.trim()) {
-      performSearch();
+    const text = elements.searchInput.value.trim();
+    if (text && (text !== appState.currentQueryText || appState.currentView !== 'search')) {
+      performSearch({ historyMode: appState.currentSearchTerm ? 'replace' : 'push', typing: true });
     }
   }, 300);
 
   elements.searchInput?.addEventListener('input', debouncedSearch);
 
+  // Filtros refazem a busca atual
+  [elements.filterType, elements.filterYearFrom, elements.filterYearTo].forEach((control) => {
+    control?.addEventListener('change', () => {
+      // Operadores no campo acompanham o que foi escolhido no formulário
+      const query = parseSearchQuery(elements.searchInput.value);
+      if (query.hasFilters && query.errors.length === 0) {
+        elements.searchInput.value = formatSearchQuery({ ...query, filters: readFilters() });
+      }
+
+      if (elements.searchInput.value.trim()) {
+        performSearch();
+      }
+    });
+  });
+
+  // "Você quis dizer": busca a alternativa escolhida
+  elements.resultsContainer?.addEventListener('click', (e) => {
+    const alternative = e.target.closest('[data-did-you-mean]');
+    if (alternative) {
+      elements.searchInput.value = alternative.dataset.didYouMean;
+      performSearch({ remember: true });
+    }
+  });
+
   // Delegação para botões "Detalhes"
   elements.resultsContainer?.addEventListener('click', async (e) => {
     if (e.target.classList.contains('card__button')) {
@@ -99,26 +583,213 @@ function setupEventListeners() {
     }
   });
 
-  // Fechar modal
+  // Ordenação e refinamento (sem nova requisição)
+  elements.sortSelect?.addEventListener('change', () => {
+    const sort = elements.sortSelect.value;
+    if (SORT_OPTIONS.includes(sort)) {
+      applyRefinement({ sort });
+    }
+  });
+
+  elements.refineChips?.addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-refine]');
+    if (!chip) return;
+
+    if (chip.dataset.refine === 'decade') {
+      const decade = parseInt(chip.dataset.value, 10);
+      applyRefinement({ decade: appState.refine.decade === decade ? null : decade });
+    } else if (chip.dataset.refine === 'poster') {
+      applyRefinement({ hasPoster: !appState.refine.hasPoster });
+    }
+
+    // Chips são recriados: devolve o foco ao equivalente
+    const selector = chip.dataset.value
+      ? `[data-refine="${chip.dataset.refine}"][data-value="${chip.dataset.value}"]`
+      : `[data-refine="${chip.dataset.refine}"]`;
+    elements.refineChips.querySelector(selector)?.focus();
+  });
+
+  // Botões da lista (cards e modal)
+  document.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.watchlist-toggle');
+    if (toggle) {
+      toggleWatchlist(toggle.dataset.imdbid);
+    }
+  });
+
+  // Botões de comparação (cards)
   document.addEventListener('click', (e) => {
-    if (e.target.classList.contains('modal__close') || e.target.classList.contains('button--secondary')) {
-      const dialogElement = e.target.closest('[role="dialog"]');
-      if (dialogElement && elements.modal) {
-        elements.modal.close();
+    const toggle = e.target.closest('.compare-toggle');
+    if (toggle) {
+      toggleCompare(toggle.dataset.imdbid, toggle.dataset.title);
+    }
+  });
+
+  // Barra de comparação: abrir a tabela ou limpar a seleção
+  elements.compareBar?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-compare-action]');
+    if (!button) return;
+
+    if (button.dataset.compareAction === 'show') {
+      showComparison();
+    } else if (button.dataset.compareAction === 'clear') {
+      const showingSelection = appState.currentView === 'compare' && !isSharedComparison();
+      setCompareIds([]);
+      announce('Comparação limpa.');
+      // A barra some: o foco volta para a busca
+      elements.searchInput?.focus();
+      if (showingSelection) {
+        showComparison({ historyMode: 'replace' });
+      }
+    }
+  });
+
+  // Tabela de comparação: detalhes e remoção de cada coluna
+  elements.resultsContainer?.addEventListener('click', (e) => {
+    const detailsButton = e.target.closest('[data-compare-details]');
+    if (detailsButton) {
+      openMovieDetails(detailsButton.dataset.compareDetails, detailsButton);
+      return;
+    }
+
+    const removeButton = e.target.closest('[data-compare-remove]');
+    if (removeButton) {
+      const ids = appState.comparedIds.filter((id) => id !== removeButton.dataset.compareRemove);
+      // Em um link recebido a remoção vale só para a tabela
+      if (!isSharedComparison()) {
+        setCompareIds(ids);
+      }
+      showComparison({ ids, historyMode: 'replace' }).then(() => {
+        elements.resultsContainer.querySelector('[data-compare-remove]')?.focus();
+      });
+      announce('Filme removido da comparação.');
+      return;
+    }
+
+    if (e.target.closest('[data-compare-adopt]')) {
+      setCompareIds(appState.comparedIds);
+      showComparison({ historyMode: 'replace' }).then(() => {
+        elements.resultsContainer.querySelector('.compare__scroll')?.focus();
+      });
+      announce('Os filmes deste link agora são a sua seleção para comparar.');
+    }
+  });
+
+  // Links para a view da lista
+  document.querySelectorAll('[data-view="watchlist"]').forEach((link) => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      showWatchlist();
+    });
+  });
+
+  // Temporadas e episódios de séries (conteúdo do modal)
+  elements.modal.modal.addEventListener('change', (e) => {
+    if (e.target.id === 'season-select') {
+      loadSeason(e.target.dataset.imdbid, parseInt(e.target.value, 10));
+    }
+  });
+
+  elements.modal.modal.addEventListener('click', (e) => {
+    const navButton = e.target.closest('[data-modal-nav]');
+    if (navButton) {
+      showAdjacentMovie(navButton.dataset.modalNav);
+      return;
+    }
+
+    const episodeButton = e.target.closest('.episode-list__button');
+    if (episodeButton) {
+      const { imdbid, season, episode } = episodeButton.dataset;
+      openEpisodeDetails(imdbid, parseInt(season, 10), parseInt(episode, 10));
+      return;
+    }
+
+    const backButton = e.target.closest('.episode__back');
+    if (backButton) {
+      const series = appState.movieDetailsCache.get(backButton.dataset.imdbid);
+      if (series) {
+        renderDetailsView(series, parseInt(backButton.dataset.season, 10));
+        elements.modal.firstFocusableElement?.focus();
+        elements.modal.announce(`Voltou para ${series.Title}`);
       }
     }
   });
+
+  // Setas esquerda/direita percorrem os resultados (fora de campos, onde movem o cursor)
+  elements.modal.modal.addEventListener('keydown', (e) => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    if (e.target.closest('input, select, textarea') || !elements.modal.modal.querySelector('.modal__nav')) return;
+
+    e.preventDefault();
+    showAdjacentMovie(e.key === 'ArrowLeft' ? 'previous' : 'next');
+  });
+
+  // Voltar/Avançar do navegador
+  window.addEventListener('popstate', handlePopState);
+
+  // Respostas velhas do cache atualizadas em segundo plano
+  apiEvents.addEventListener('revalidate', handleRevalidate);
+
+  // Cota diária da API esgotada ou liberada
+  apiEvents.addEventListener('quota', handleQuotaChange);
+
+  // Ações dos estados de erro (tentar de novo, configurar, limpar filtros)
+  document.addEventListener('click', (e) => {
+    const actionButton = e.target.closest('[data-action]');
+    if (actionButton) {
+      handleErrorAction(actionButton.dataset.action);
+    }
+  });
+
+  // Fechar modal (o de detalhes ou o de configurações, conforme onde foi o clique)
+  document.addEventListener('click', (e) => {
+    const closeButton = e.target.closest('.modal__close, .button--secondary');
+    if (closeButton?.closest('[role="dialog"]')) {
+      [elements.modal, elements.settingsModal]
+        .find((modal) => modal?.modal.contains(closeButton))
+        ?.close();
+    }
+  });
+
+  // Conexão perdida ou recuperada
+  window.addEventListener('online', handleConnectionChange);
+  window.addEventListener('offline', handleConnectionChange);
+
+  // Aviso de nova versão
+  elements.updateToast?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-update-action]');
+    if (button) {
+      handleUpdateAction(button);
+    }
+  });
+
+  // Configurações
+  elements.settingsButton?.addEventListener('click', (e) => openSettings(e.currentTarget));
+  elements.settingsModal.modal.addEventListener('submit', handleSettingsSubmit);
+  elements.settingsModal.modal.addEventListener('click', (e) => {
+    if (e.target.closest('[data-settings-action="remove"]')) {
+      handleRemoveAPIKey();
+    }
+  });
 }
 
 /**
  * Carrega filmes populares na landing
  */
 async function loadPopularMovies() {
+  appState.currentView = 'search';
+  appState.scrollObserver?.disconnect();
+  appState.shownResponses = [];
+  elements.paginationContainer.innerHTML = '';
+  elements.refineChips.innerHTML = '';
+  renderResultsUpdated();
   renderLoadingState(elements.resultsContainer, SKELETON_CARDS_COUNT);
   elements.resultsCount.textContent = 'Carregando filmes populares...';
 
   try {
     const allMovies = [];
+    const errors = [];
     const promises = POPULAR_MOVIES_TERMS.slice(0, 2).map(term =>
       searchMovies(term, 1)
         .then(result => {
@@ -126,118 +797,829 @@ async function loadPopularMovies() {
             allMovies.push(...result.Search.slice(0, 3));
           }
         })
-        .catch(err => console.warn(`Erro ao carregar "${term}":`, err))
+        .catch(err => {
+          console.warn(`Erro ao carregar "${term}":`, err);
+          errors.push(err);
+        })
     );
 
     await Promise.all(promises);
 
     if (allMovies.length > 0) {
       appState.currentMovies = allMovies;
-      renderMovieGrid(allMovies, elements.resultsContainer);
+      appState.refine.decade = null;
+      renderResults();
       elements.resultsCount.textContent = `${allMovies.length} filmes populares`;
     } else {
-      renderErrorState(elements.resultsContainer, 'Não foi possível carregar filmes populares.');
+      showError(errors[0] || 'Não foi possível carregar filmes populares.', loadPopularMovies);
     }
   } catch (error) {
-    renderErrorState(elements.resultsContainer, getErrorMessage(error));
+    showError(error, loadPopularMovies);
   }
 }
 
 /**
  * Realiza busca de filmes
+ * @param {Object} options - Opções da busca
+ * @param {number} options.page - Página a carregar (default: 1)
+ * @param {string} options.historyMode - 'push', 'replace' ou 'none' (default: 'push')
+ * @param {boolean} options.remember - Salva o termo nas buscas recentes se houver resultados
+ * @param {boolean} options.typing - Busca disparada ao digitar (não reescreve o campo nem mostra erros de sintaxe)
  */
-async function performSearch() {
-  const searchTerm = elements.searchInput?.value.trim();
+async function performSearch({ page = 1, historyMode = 'push', remember = false, typing = false } = {}) {
+  const text = elements.searchInput?.value.trim();
 
-  if (!searchTerm) {
+  if (!text) {
     elements.resultsCount.textContent = 'Digite um termo para buscar.';
     return;
   }
 
+  // Operadores (y:, type:, aspas) viram filtros; erros aparecem abaixo do campo
+  const query = parseSearchQuery(text);
+  if (query.errors.length > 0) {
+    // Enquanto digita a consulta pode estar incompleta: só avisa quando o usuário confirma
+    if (!typing) {
+      updateSearchError(elements.searchInput, elements.searchError, query.errors);
+    }
+    return;
+  }
+  updateSearchError(elements.searchInput, elements.searchError, []);
+
+  // Operadores têm prioridade sobre o formulário, que passa a mostrar os mesmos filtros
+  const searchTerm = query.term;
+  const filters = query.hasFilters ? normalizeFilters({ ...readFilters(), ...query.filters }) : readFilters();
+  if (query.hasFilters) {
+    applyFiltersToForm(filters);
+    if (!typing) {
+      elements.searchInput.value = formatSearchQuery({ term: searchTerm, exact: query.exact, filters });
+    }
+  }
+
   // Cancela requisição anterior se houver
   if (appState.abortController) {
     appState.abortController.abort();
   }
 
-  appState.abortController = new AbortController();
+  const controller = new AbortController();
+  appState.abortController = controller;
+  appState.loadingMore = false;
+  appState.scrollObserver?.disconnect();
+  appState.currentView = 'search';
   appState.currentSearchTerm = searchTerm;
-  appState.currentPage = 1;
+  appState.currentQueryText = elements.searchInput.value.trim();
+  appState.exactTitle = query.exact;
+  appState.currentFilters = filters;
+  // No modo "todos os resultados" não há página
+  appState.currentPage = appState.paginationMode === 'all' ? 1 : page;
+  appState.startPage = appState.currentPage;
+  appState.shownResponses = [];
+  appState.offlineResults = false;
+  appState.partialResults = false;
+
+  if (appState.ratingsController) {
+    appState.ratingsController.abort();
+  }
 
+  elements.refineChips.innerHTML = '';
+  renderResultsUpdated();
   renderLoadingState(elements.resultsContainer, SKELETON_CARDS_COUNT);
   elements.resultsCount.setAttribute('aria-live', 'polite');
   elements.resultsCount.textContent = 'Carregando resultados...';
 
+  // Título exato sem correspondência: páginas do OMDb que ficaram sem verificar
+  let exactPagesLeft = false;
+
   try {
-    const result = await searchMovies(searchTerm, appState.currentPage, appState.abortController.signal);
+    let result = await (appState.paginationMode === 'all'
+      ? searchAllMovies(searchTerm, appState.currentFilters, {
+        signal: controller.signal,
+        onProgress: (progress) => renderSearchProgress(elements.resultsContainer, progress, cancelSearch)
+      })
+      : searchMovies(
+        searchTerm,
+        appState.currentPage,
+        controller.signal,
+        appState.currentFilters
+      )
+    ).catch(async (error) => {
+      // Sem conexão (e sem essa busca exata em cache): procura nos dados já salvos
+      if (!(error instanceof NetworkError)) throw error;
+      const offlineResult = await searchOffline(searchTerm, appState.currentFilters);
+      // Falha de rede com o navegador "online": sem nada salvo, vale o erro (com "Tentar novamente")
+      if (offlineResult.Search.length === 0 && !isOffline()) throw error;
+      return offlineResult;
+    });
 
-    if (!result.Search || result.Search.length === 0) {
-      renderErrorState(elements.resultsContainer, `Nenhum resultado para "${searchTerm}"`);
-      elements.resultsCount.textContent = '0 resultados encontrados';
-      return;
+    let movies = filterExactTitle(result.Search || []);
+
+    // Título exato: o OMDb ordena por relevância e o título pode estar nas páginas seguintes
+    if (appState.exactTitle && !result.offline && appState.paginationMode !== 'all') {
+      const totalPages = getTotalPages(result);
+      const lastPage = Math.min(totalPages, appState.currentPage + EXACT_TITLE_MAX_PAGES - 1);
+      for (let nextPage = appState.currentPage + 1; movies.length === 0 && nextPage <= lastPage; nextPage++) {
+        result = await searchMovies(searchTerm, nextPage, controller.signal, appState.currentFilters);
+        movies = filterExactTitle(result.Search || []);
+      }
+      exactPagesLeft = movies.length === 0 && lastPage < totalPages;
     }
 
-    appState.currentMovies = result.Search;
-    appState.totalResults = parseInt(result.totalResults) || 0;
+    if (movies.length === 0) {
+      throw new NotFoundError();
+    }
+
+    if (result.offline) {
+      // O índice offline devolve tudo em uma página
+      appState.offlineResults = true;
+      appState.currentPage = 1;
+      appState.startPage = 1;
+    }
+
+    appState.currentMovies = movies;
+    appState.shownResponses = [result];
+    appState.partialResults = Boolean(result.partial);
+    appState.refine.decade = null;
+    // Título exato: só os títulos iguais ao termo na página em que foram encontrados
+    appState.totalResults = appState.exactTitle ? movies.length : parseInt(result.totalResults) || 0;
+    appState.totalPages = appState.exactTitle ? 1 : getTotalPages(result);
 
-    renderMovieGrid(appState.currentMovies, elements.resultsContainer);
-    updateResultsCount(elements.resultsCount, appState.currentMovies.length, searchTerm);
+    renderResults();
+    renderResultsCount();
+    renderResultsUpdated();
 
-    // Renderiza paginação
-    const hasNextPage = (appState.currentPage * 10) < appState.totalResults;
-    renderPagination(appState.currentPage, hasNextPage, elements.paginationContainer, handlePageChange);
+    // Renderiza paginação (ou status da rolagem infinita)
+    renderResultsNavigation();
+
+    syncRoute(historyMode);
+
+    // Só buscas confirmadas (Enter ou sugestão) com resultados entram no histórico
+    if (remember) {
+      addRecentSearch(appState.currentQueryText);
+    }
   } catch (error) {
-    if (error.name !== 'AbortError') {
-      renderErrorState(elements.resultsContainer, getErrorMessage(error));
+    const retry = () => performSearch({ page: appState.currentPage, historyMode: 'none' });
+
+    if (appState.cancelledController === controller) {
+      showError(new AbortedError('Busca cancelada.'), retry);
+      elements.resultsCount.textContent = 'Busca cancelada';
+    } else if (error instanceof NotFoundError && !typing && !isOffline() && !query.exact) {
+      // Antes de mostrar o erro, procura variantes do termo que encontrem algo
+      // (só em buscas confirmadas: ao digitar, cada pausa custaria várias requisições)
+      elements.resultsCount.textContent = 'Nenhum resultado. Procurando alternativas...';
+      const alternatives = await findAlternatives(query, controller.signal);
+      if (controller.signal.aborted) return;
+
+      if (alternatives.length > 0) {
+        renderDidYouMean(elements.resultsContainer, searchTerm, alternatives);
+      } else {
+        showError(new NotFoundError(`Nenhum resultado para "${searchTerm}"`), retry);
+      }
+      elements.resultsCount.textContent = '0 resultados encontrados';
+    } else if (error instanceof NotFoundError) {
+      const checked = exactPagesLeft ? ` nas primeiras ${EXACT_TITLE_MAX_PAGES} páginas de resultados` : '';
+      showError(new NotFoundError(isOffline()
+        ? `Nenhum resultado salvo para "${searchTerm}". Conecte-se para buscar no OMDb.`
+        : `Nenhum ${query.exact ? 'título igual a' : 'resultado para'} "${searchTerm}"${checked}`), retry);
+      elements.resultsCount.textContent = '0 resultados encontrados';
+    } else if (error.name !== 'AbortError' && !controller.signal.aborted) {
+      // Busca substituída por outra mais recente: não sobrescreve a nova
+      showError(error, retry);
       elements.resultsCount.textContent = 'Erro na busca';
     }
   } finally {
-    appState.abortController = null;
+    if (appState.abortController === controller) {
+      appState.abortController = null;
+    }
   }
 }
 
 /**
- * Manipula mudança de página
- * @param {number} page - Número da página
+ * Procura buscas alternativas para um termo sem resultados ("Você quis dizer")
+ * As variantes são testadas em paralelo (a fila do api.js limita as requisições)
+ * e ficam na ordem de probabilidade de getRelaxedTerms
+ * @param {Object} query - Busca sem resultados (parseSearchQuery)
+ * @param {AbortSignal} signal - Cancela junto com a busca original
+ * @returns {Promise<Object[]>} Alternativas com resultados ({ term, query, totalResults })
  */
-async function handlePageChange(page) {
-  appState.currentPage = page;
-  window.scrollTo({ top: elements.mainContent?.offsetTop || 0, behavior: 'smooth' });
-  await performSearch();
+async function findAlternatives(query, signal) {
+  const titles = await getCachedTitles().catch(() => []);
+  const terms = getRelaxedTerms(query.term, titles).slice(0, DID_YOU_MEAN_ATTEMPTS);
+
+  const results = await Promise.all(terms.map((term) =>
+    searchMovies(term, 1, signal, appState.currentFilters)
+      // Sem resultados, cota ou rede: a variante só não é oferecida
+      .catch(() => null)
+  ));
+
+  return terms
+    .map((term, i) => ({
+      term,
+      // Mantém os operadores digitados (ex: y:1989) na nova busca
+      query: formatSearchQuery({ term, filters: query.hasFilters ? appState.currentFilters : null }),
+      totalResults: parseInt(results[i]?.totalResults, 10) || results[i]?.Search?.length || 0
+    }))
+    .filter((alternative) => alternative.totalResults > 0)
+    .slice(0, DID_YOU_MEAN_LIMIT);
 }
 
 /**
- * Abre detalhes do filme em modal
- * @param {string} imdbId - ID IMDb
- * @param {HTMLElement} triggerElement - Elemento que ativou o modal
+ * Monta as sugestões do campo de busca
+ * Sem texto digitado, mostra só as buscas recentes
+ * @param {string} query - Texto digitado
+ * @returns {Promise<Object>} { recent, titles, hasHistory }
  */
-async function openMovieDetails(imdbId, triggerElement) {
-  try {
-    // Verifica cache
-    if (appState.movieDetailsCache.has(imdbId)) {
-      const movie = appState.movieDetailsCache.get(imdbId);
-      const html = renderMovieDetails(movie);
-      elements.modal.setContent(html);
-      updateMetaTags(movie);
-      elements.modal.open(triggerElement);
-      return;
-    }
+async function getSearchSuggestions(query) {
+  const history = getRecentSearches();
+  const recent = history
+    .filter((term) => matchesWordPrefixes(term, query))
+    .slice(0, MAX_SUGGESTIONS);
 
-    // Renderiza estado de carregamento
-    elements.modal.setContent(`
-      <div class="loading-modal" role="status">
-        <p aria-live="polite">Carregando detalhes do filme...</p>
-      </div>
+  if (!query) {
+    return { recent, titles: [], hasHistory: history.length > 0 };
+  }
+
+  if (!appState.suggestionTitles) {
+    appState.suggestionTitles = getCachedTitles().catch((error) => {
+      console.warn('Erro ao ler títulos em cache:', error);
+      return [];
+    });
+  }
+
+  // Títulos casam só com o termo (sem operadores); os que começam por ele vêm primeiro
+  const { term } = parseSearchQuery(query);
+  const normalizedQuery = term.toLowerCase();
+  const shown = new Set(recent.map((item) => item.toLowerCase()));
+  const titles = (await appState.suggestionTitles)
+    .filter((title) => term && !shown.has(title.toLowerCase()) && matchesWordPrefixes(title, term))
+    .sort((a, b) => Number(b.toLowerCase().startsWith(normalizedQuery)) - Number(a.toLowerCase().startsWith(normalizedQuery)))
+    .slice(0, MAX_SUGGESTIONS);
+
+  return { recent, titles, hasHistory: history.length > 0 };
+}
+
+/**
+ * Exibe erro na área de resultados com as ações adequadas à causa
+ * @param {Error|string} error - Erro capturado ou mensagem
+ * @param {Function} retry - Refaz a operação que falhou
+ */
+function showError(error, retry) {
+  appState.retryAction = retry;
+  renderErrorState(elements.resultsContainer, error, {
+    hasFilters: appState.currentView === 'search' && !filtersEqual(appState.currentFilters, normalizeFilters())
+  });
+}
+
+/**
+ * Executa ação escolhida em um estado de erro
+ * @param {string} action - 'retry', 'settings' ou 'clear-filters'
+ */
+function handleErrorAction(action) {
+  if (action === 'retry') {
+    appState.retryAction?.();
+  } else if (action === 'settings') {
+    openSettings();
+  } else if (action === 'clear-filters') {
+    applyFiltersToForm(normalizeFilters());
+    performSearch({ historyMode: 'replace' });
+  }
+}
+
+/**
+ * Cancela a busca em andamento a pedido do usuário
+ */
+function cancelSearch() {
+  if (appState.abortController) {
+    appState.cancelledController = appState.abortController;
+    appState.abortController.abort();
+    announce('Busca cancelada.');
+  }
+}
+
+/**
+ * Filmes na ordem em que aparecem na grade (com ordenação e refinamento)
+ * @returns {Object[]} Filmes visíveis
+ */
+function getVisibleMovies() {
+  return refineMovies(appState.currentMovies, appState.refine, appState.movieDetailsCache);
+}
+
+/**
+ * Renderiza appState.currentMovies na grade aplicando ordenação e refinamento
+ * Cards marcam os filmes que estão na lista
+ * @param {Object} options - Opções extras para renderMovieGrid
+ */
+function renderResults(options = {}) {
+  const visible = getVisibleMovies();
+
+  renderMovieGrid(withKnownRatings(visible), elements.resultsContainer, false, {
+    watchlistIds: appState.watchlistIds,
+    offlineIds: getAvailableOfflineIds(),
+    compareIds: appState.compareIds,
+    ...options,
+    emptyMessage: isRefined(appState.refine) && appState.currentMovies.length > 0
+      ? 'Nenhum filme corresponde ao refinamento. Remova algum filtro.'
+      : options.emptyMessage
+  });
+  renderChips(visible.length);
+  observeMissingRatings();
+}
+
+/**
+ * Mantém só os títulos iguais ao termo quando a busca é por título exato
+ * @param {Object[]} movies - Filmes da resposta
+ * @returns {Object[]} Filmes exibíveis
+ */
+function filterExactTitle(movies) {
+  return appState.exactTitle
+    ? movies.filter((movie) => matchesExactTitle(movie.Title, appState.currentSearchTerm))
+    : movies;
+}
+
+/**
+ * Atualiza a contagem de resultados com o termo, os filtros e a origem (offline)
+ */
+function renderResultsCount() {
+  updateResultsCount(
+    elements.resultsCount,
+    appState.currentMovies.length,
+    appState.currentSearchTerm,
+    appState.currentFilters,
+    { exact: appState.exactTitle }
+  );
+  if (appState.offlineResults) {
+    elements.resultsCount.textContent += ' (offline)';
+  }
+  if (appState.partialResults) {
+    elements.resultsCount.textContent += ' (incompleto: parte da busca falhou, tente novamente mais tarde)';
+  }
+}
+
+/**
+ * Renderiza chips de refinamento para os filmes carregados
+ * @param {number} shown - Quantidade exibida após refinamento
+ */
+function renderChips(shown) {
+  renderRefinementChips(elements.refineChips, getDecades(appState.currentMovies), appState.refine, {
+    shown,
+    total: appState.currentMovies.length
+  });
+}
+
+/**
+ * Mostra ou esconde o aviso de cota esgotada
+ * O aviso some sozinho quando o limite diário volta
+ */
+function handleQuotaChange() {
+  const status = getQuotaStatus();
+  updateQuotaBanner(elements.quotaBanner, status);
+
+  clearTimeout(appState.quotaTimer);
+  if (status.exhausted) {
+    appState.quotaTimer = setTimeout(handleQuotaChange, status.resetAt - Date.now());
+  }
+}
+
+/**
+ * Mostra quando os resultados exibidos foram obtidos do OMDb
+ * Com várias páginas carregadas vale a mais antiga
+ */
+function renderResultsUpdated() {
+  if (appState.offlineResults) {
+    elements.resultsUpdated.innerHTML = renderOfflineResultsNote();
+    return;
+  }
+
+  const timestamps = appState.shownResponses.map(getLastUpdated).filter(Boolean);
+  elements.resultsUpdated.innerHTML = timestamps.length > 0
+    ? renderLastUpdated(Math.min(...timestamps))
+    : '';
+}
+
+/**
+ * Mostra ou esconde o aviso de conexão perdida
+ * De volta online, resultados vindos do cache offline são buscados de novo
+ */
+function handleConnectionChange() {
+  const offline = isOffline();
+  updateOfflineBanner(elements.offlineBanner, offline);
+  announce(offline ? 'Você está offline.' : 'Conexão restabelecida.');
+
+  if (!offline && appState.offlineResults && appState.currentView === 'search') {
+    performSearch({ historyMode: 'none' });
+  }
+}
+
+/**
+ * Obtém IDs dos filmes que abrem sem conexão (detalhes em cache ou salvos na lista)
+ * @returns {Set<string>} IDs IMDb
+ */
+function getAvailableOfflineIds() {
+  return new Set([...appState.offlineIds, ...appState.watchlistIds]);
+}
+
+/**
+ * Substitui os filmes de uma resposta antiga pelos da resposta atualizada
+ * mantendo a posição na lista e sem duplicar filmes de outras páginas
+ * @param {Object[]} movies - Filmes exibidos
+ * @param {Object} previous - Resposta servida do cache
+ * @param {Object} data - Resposta atualizada
+ * @returns {Object[]} Nova lista de filmes
+ */
+function mergeRevalidatedMovies(movies, previous, data) {
+  const previousIds = new Set(previous.Search.map((movie) => movie.imdbID));
+  const index = movies.findIndex((movie) => previousIds.has(movie.imdbID));
+  const kept = movies.filter((movie) => !previousIds.has(movie.imdbID));
+  const keptIds = new Set(kept.map((movie) => movie.imdbID));
+  const fresh = (data.Search || []).filter((movie) => !keptIds.has(movie.imdbID));
+
+  kept.splice(index === -1 ? kept.length : index, 0, ...fresh);
+  return kept;
+}
+
+/**
+ * Atualiza grade ou modal quando o api.js revalida uma resposta em segundo plano
+ * @param {CustomEvent} event - Evento 'revalidate' de apiEvents
+ */
+function handleRevalidate(event) {
+  const { kind, data, previous, changed } = event.detail;
+
+  if (kind === 'search') {
+    // Faixas de anos são exibidas mescladas: a resposta revalidada pode ser de um dos anos
+    const index = appState.shownResponses.findIndex((result) => result === previous || isRangePart(result, previous));
+    if (index === -1) return;
+
+    const shownPrevious = appState.shownResponses[index];
+    const shown = shownPrevious === previous ? data : replaceRangePart(shownPrevious, previous, data);
+
+    appState.shownResponses[index] = shown;
+    if (changed) {
+      // Mantém o foco no mesmo botão depois de redesenhar a grade
+      const focused = elements.resultsContainer.contains(document.activeElement)
+        ? document.activeElement
+        : null;
+
+      appState.currentMovies = filterExactTitle(mergeRevalidatedMovies(appState.currentMovies, shownPrevious, shown));
+      if (index === 0 && !appState.exactTitle) {
+        appState.totalResults = parseInt(shown.totalResults) || 0;
+        appState.totalPages = getTotalPages(shown);
+        renderResultsNavigation();
+      }
+      renderResults();
+      renderResultsCount();
+
+      if (focused?.dataset.imdbid) {
+        elements.resultsContainer
+          .querySelector(`.${focused.classList[0]}[data-imdbid="${focused.dataset.imdbid}"]`)
+          ?.focus();
+      }
+      announce('Resultados atualizados.');
+    }
+    renderResultsUpdated();
+    return;
+  }
+
+  if (kind === 'detail') {
+    if (appState.movieDetailsCache.get(data.imdbID) === previous) {
+      appState.movieDetailsCache.set(data.imdbID, data);
+    }
+
+    if (data.imdbID !== appState.openMovieId || !elements.modal.isOpen()) return;
+
+    // Com um episódio aberto, a série é redesenhada ao voltar
+    const dialog = elements.modal.modal;
+    if (dialog.querySelector('.episode__back')) return;
+
+    if (!changed) {
+      const header = dialog.querySelector('.modal__header');
+      header?.querySelector('.last-updated')?.remove();
+      header?.insertAdjacentHTML('beforeend', renderLastUpdated(getLastUpdated(data)));
+      return;
+    }
+
+    const hadFocus = dialog.contains(document.activeElement);
+    const selectedSeason = Number(dialog.querySelector('#season-select')?.value) || 1;
+    renderDetailsView(data, selectedSeason);
+    if (hadFocus) {
+      elements.modal.firstFocusableElement?.focus();
+    }
+    elements.modal.announce('Detalhes atualizados.');
+  }
+}
+
+/**
+ * Completa filmes da busca com a nota IMDb dos detalhes já carregados
+ * @param {Object[]} movies - Filmes da busca
+ * @returns {Object[]} Filmes com imdbRating quando conhecido
+ */
+function withKnownRatings(movies) {
+  return movies.map((movie) => {
+    const details = appState.movieDetailsCache.get(movie.imdbID);
+    return details && !movie.imdbRating ? { ...movie, imdbRating: details.imdbRating } : movie;
+  });
+}
+
+/**
+ * Na ordenação por nota, observa os cards sem nota e busca as notas só quando aparecem na tela
+ * Com rolagem infinita ou "todos os resultados" a grade pode ter centenas de filmes
+ */
+function observeMissingRatings() {
+  appState.ratingsObserver?.disconnect();
+  appState.ratingsObserver = null;
+  if (appState.refine.sort !== 'rating' || !('IntersectionObserver' in window)) return;
+
+  const cards = [...elements.resultsContainer.querySelectorAll('.card')]
+    .filter((card) => !card.querySelector('.card__rating'));
+  const getId = (card) => card.querySelector('.card__button')?.dataset.imdbid;
+
+  appState.ratingsObserver = new IntersectionObserver((entries, observer) => {
+    const shown = entries.filter((entry) => entry.isIntersecting).map((entry) => entry.target);
+    shown.forEach((card) => observer.unobserve(card));
+    if (shown.length > 0) {
+      loadMissingRatings(shown.map(getId));
+    }
+  }, { rootMargin: INFINITE_SCROLL_MARGIN });
+  cards.forEach((card) => appState.ratingsObserver.observe(card));
+}
+
+/**
+ * Busca detalhes (nota IMDb) de cards que ainda não têm, e reordena ao final
+ * No máximo RATINGS_BATCH_SIZE por vez; com a cota esgotada não pede nada
+ * @param {string[]} imdbIds - IDs dos cards que apareceram na tela
+ */
+async function loadMissingRatings(imdbIds) {
+  // Cada filme é pedido uma vez só, mesmo se falhar (evita laço de re-renderização)
+  const missing = imdbIds
+    .filter((imdbId) => imdbId && !appState.movieDetailsCache.has(imdbId) && !appState.ratingsRequested.has(imdbId))
+    .slice(0, RATINGS_BATCH_SIZE);
+  if (missing.length === 0 || getQuotaStatus().exhausted) return;
+
+  // Lotes da mesma busca compartilham o controller (cancelado por uma nova busca)
+  if (!appState.ratingsController || appState.ratingsController.signal.aborted) {
+    appState.ratingsController = new AbortController();
+  }
+  const controller = appState.ratingsController;
+  announce(`Carregando notas IMDb de ${missing.length} filme(s)...`);
+
+  await Promise.all(missing.map((imdbId) => {
+    appState.ratingsRequested.add(imdbId);
+    return getMovieDetails(imdbId, controller.signal)
+      .then((details) => {
+        appState.movieDetailsCache.set(imdbId, details);
+        updateCardRating(imdbId, details.imdbRating);
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) {
+          appState.ratingsRequested.delete(imdbId);
+          return;
+        }
+        console.warn(`Erro ao carregar nota de ${imdbId}:`, error);
+      });
+  }));
+
+  if (controller.signal.aborted) return;
+
+  if (appState.refine.sort === 'rating') {
+    renderResults();
+    announce('Resultados ordenados por nota IMDb.');
+  }
+}
+
+/**
+ * Atualiza ordenação ou chips e re-renderiza sem nova busca
+ * @param {Object} changes - Alterações no estado do refinamento
+ */
+function applyRefinement(changes) {
+  Object.assign(appState.refine, changes);
+  // A tabela de comparação mantém a ordem de escolha
+  if (appState.currentView === 'compare') return;
+  renderResults();
+}
+
+/**
+ * Exibe a lista de filmes salvos (funciona offline)
+ * @param {Object} options - Opções
+ * @param {string} options.historyMode - 'push', 'replace' ou 'none' (default: 'push')
+ */
+async function showWatchlist({ historyMode = 'push' } = {}) {
+  if (appState.abortController) {
+    appState.abortController.abort();
+  }
+
+  appState.currentView = 'watchlist';
+  appState.currentSearchTerm = '';
+  appState.currentQueryText = '';
+  appState.exactTitle = false;
+  appState.currentPage = 1;
+  appState.startPage = 1;
+  appState.shownResponses = [];
+  appState.scrollObserver?.disconnect();
+  elements.paginationContainer.innerHTML = '';
+  renderResultsUpdated();
+
+  try {
+    const movies = await getWatchlist();
+    // Detalhes completos já estão salvos: abrir o modal não precisa de rede
+    movies.forEach((movie) => appState.movieDetailsCache.set(movie.imdbID, movie));
+    appState.currentMovies = movies;
+    appState.refine.decade = null;
+
+    renderResults({ emptyMessage: 'Sua lista está vazia. Adicione filmes pelos cards ou detalhes.' });
+    elements.resultsCount.textContent = `${movies.length} filme(s) na sua lista`;
+  } catch (error) {
+    elements.refineChips.innerHTML = '';
+    showError(error, () => showWatchlist({ historyMode: 'none' }));
+    elements.resultsCount.textContent = 'Erro ao carregar lista';
+  }
+
+  syncRoute(historyMode);
+}
+
+/**
+ * Exibe a tabela de comparação dos filmes escolhidos
+ * Detalhes vêm da memória, da lista ou do OMDb (cache de api.js); falhas não impedem a tabela
+ * @param {Object} options - Opções
+ * @param {string[]} options.ids - Filmes da tabela (default: a seleção salva; links recebidos passam os seus)
+ * @param {string} options.historyMode - 'push', 'replace' ou 'none' (default: 'push')
+ */
+async function showComparison({ ids = appState.compareIds, historyMode = 'push' } = {}) {
+  if (appState.abortController) {
+    appState.abortController.abort();
+  }
+
+  appState.currentView = 'compare';
+  appState.comparedIds = ids;
+  appState.currentSearchTerm = '';
+  appState.currentQueryText = '';
+  appState.exactTitle = false;
+  appState.currentPage = 1;
+  appState.startPage = 1;
+  appState.shownResponses = [];
+  appState.scrollObserver?.disconnect();
+  elements.paginationContainer.innerHTML = '';
+  elements.refineChips.innerHTML = '';
+  renderResultsUpdated();
+  syncRoute(historyMode);
+
+  if (ids.some((id) => !appState.movieDetailsCache.has(id))) {
+    renderLoadingState(elements.resultsContainer, ids.length);
+    elements.resultsCount.textContent = 'Carregando comparação...';
+  }
+
+  const results = await Promise.allSettled(ids.map(async (id) => {
+    const movie = appState.movieDetailsCache.get(id) || await getSavedMovie(id) || await getMovieDetails(id);
+    appState.movieDetailsCache.set(id, movie);
+    appState.offlineIds.add(id);
+    return movie;
+  }));
+
+  // A seleção mudou enquanto os detalhes carregavam: a chamada mais recente renderiza
+  if (appState.currentView !== 'compare' || ids !== appState.comparedIds) return;
+
+  const movies = results.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => console.warn('Erro ao carregar filme da comparação:', result.reason));
+
+  // Anterior/próximo do modal percorrem os filmes comparados
+  appState.currentMovies = movies;
+  appState.refine.decade = null;
+
+  renderComparison(elements.resultsContainer, movies, {
+    highlights: getComparisonHighlights(movies),
+    failedCount: results.length - movies.length,
+    shared: isSharedComparison()
+  });
+  elements.resultsCount.textContent = movies.length > 0
+    ? `Comparando ${movies.length} filme(s)`
+    : 'Nenhum filme para comparar';
+}
+
+/**
+ * Verifica se a tabela mostra filmes diferentes da seleção salva (link recebido)
+ * @returns {boolean} True se a comparação exibida veio de um link
+ */
+function isSharedComparison() {
+  return appState.comparedIds.join() !== appState.compareIds.join();
+}
+
+/**
+ * Troca os filmes escolhidos para comparar (salva e atualiza cards e barra)
+ * @param {string[]} ids - IDs IMDb
+ */
+function setCompareIds(ids) {
+  appState.compareIds = saveCompareIds(ids);
+  updateCompareButtons(appState.compareIds);
+  updateCompareBar(elements.compareBar, appState.compareIds.length, MAX_COMPARE_MOVIES);
+}
+
+/**
+ * Inclui ou remove filme da comparação (até MAX_COMPARE_MOVIES)
+ * @param {string} imdbId - ID IMDb
+ * @param {string} title - Título (para o anúncio)
+ */
+function toggleCompare(imdbId, title) {
+  const wasInCompare = appState.compareIds.includes(imdbId);
+
+  if (!wasInCompare && appState.compareIds.length >= MAX_COMPARE_MOVIES) {
+    announce(`Você já escolheu ${MAX_COMPARE_MOVIES} filmes. Remova um para adicionar outro.`);
+    return;
+  }
+
+  setCompareIds(wasInCompare
+    ? appState.compareIds.filter((id) => id !== imdbId)
+    : [...appState.compareIds, imdbId]);
+  announce(wasInCompare
+    ? `${title} removido da comparação.`
+    : `${title} adicionado à comparação (${appState.compareIds.length} de ${MAX_COMPARE_MOVIES}).`);
+}
+
+/**
+ * Adiciona ou remove filme da lista
+ * @param {string} imdbId - ID IMDb
+ */
+async function toggleWatchlist(imdbId) {
+  const wasInWatchlist = appState.watchlistIds.has(imdbId);
+
+  try {
+    if (wasInWatchlist) {
+      await removeFromWatchlist(imdbId);
+      appState.watchlistIds.delete(imdbId);
+    } else {
+      // Guarda o registro completo para a lista funcionar offline
+      const movie = appState.movieDetailsCache.get(imdbId) || await getMovieDetails(imdbId);
+      appState.movieDetailsCache.set(imdbId, movie);
+      await addToWatchlist(movie);
+      appState.watchlistIds.add(imdbId);
+    }
+
+    updateWatchlistButtons(imdbId, !wasInWatchlist);
+    announce(wasInWatchlist ? 'Filme removido da sua lista.' : 'Filme adicionado à sua lista.');
+
+    if (wasInWatchlist && appState.currentView === 'watchlist') {
+      await showWatchlist({ historyMode: 'none' });
+    }
+  } catch (error) {
+    announce(`Não foi possível atualizar a lista: ${getErrorMessage(error)}`);
+  }
+}
+
+/**
+ * Anuncia mensagem para leitores de tela
+ * @param {string} message - Mensagem
+ */
+function announce(message) {
+  if (elements.loadingIndicator) {
+    elements.loadingIndicator.textContent = message;
+  }
+}
+
+/**
+ * Manipula mudança de página
+ * @param {number} page - Número da página
+ */
+async function handlePageChange(page) {
+  window.scrollTo({ top: elements.mainContent?.offsetTop || 0, behavior: 'smooth' });
+  await performSearch({ page });
+}
+
+/**
+ * Abre detalhes do filme em modal
+ * @param {string} imdbId - ID IMDb
+ * @param {HTMLElement} triggerElement - Elemento que ativou o modal
+ * @param {Object} options - Opções
+ * @param {string} options.historyMode - 'push', 'replace' ou 'none' (default: 'push')
+ */
+async function openMovieDetails(imdbId, triggerElement, { historyMode = 'push' } = {}) {
+  appState.openMovieId = imdbId;
+  // Episódio ainda carregando não pode sobrescrever os detalhes
+  appState.episodeController?.abort();
+  syncRoute(historyMode, { modal: true });
+
+  try {
+    // Verifica cache
+    if (appState.movieDetailsCache.has(imdbId)) {
+      renderDetailsView(appState.movieDetailsCache.get(imdbId));
+      openDetailsModal(triggerElement);
+      return;
+    }
+
+    // Renderiza estado de carregamento
+    elements.modal.setContent(`
+      <div class="loading-modal" role="status">
+        <p aria-live="polite">Carregando detalhes do filme...</p>
+      </div>
     `);
-    elements.modal.open(triggerElement);
+    openDetailsModal(triggerElement);
 
-    // Busca detalhes
-    const movie = await getMovieDetails(imdbId);
+    // Busca detalhes (filmes da lista já têm o registro salvo)
+    const movie = await getSavedMovie(imdbId) || await getMovieDetails(imdbId);
     appState.movieDetailsCache.set(imdbId, movie);
+    appState.offlineIds.add(imdbId);
+
+    // Outro filme foi aberto enquanto este carregava (anterior/próximo seguidos)
+    if (appState.openMovieId !== imdbId) return;
 
     // Renderiza conteúdo
-    const html = renderMovieDetails(movie);
-    elements.modal.setContent(html);
-    updateMetaTags(movie);
+    renderDetailsView(movie);
 
     // Re-attach listeners para botões do modal
     const closeBtn = elements.modal.modal.querySelector('.modal__close');
@@ -245,38 +1627,350 @@ async function openMovieDetails(imdbId, triggerElement) {
     closeBtn?.addEventListener('click', () => elements.modal.close());
     secondaryBtn?.addEventListener('click', () => elements.modal.close());
   } catch (error) {
-    elements.modal.setContent(`
-      <div class="error-modal" role="alert">
-        <h2>Erro ao carregar detalhes</h2>
-        <p>${getErrorMessage(error)}</p>
-        <button class="button button--secondary" onclick="this.closest('[role=\\'dialog\\']').parentElement.parentElement.click()">
-          Fechar
-        </button>
-      </div>
-    `);
+    if (appState.openMovieId !== imdbId) return;
+
+    // Offline sem detalhes em cache: mostra o resumo visto em alguma busca
+    const summary = error instanceof NetworkError
+      ? await getOfflineMovieSummary(imdbId).catch(() => null)
+      : null;
+    if (summary && appState.openMovieId === imdbId) {
+      renderDetailsView(summary, 1, { partial: true });
+      return;
+    }
+
+    appState.retryAction = () => openMovieDetails(imdbId, null, { historyMode: 'none' });
+    elements.modal.setContent(renderModalError('Erro ao carregar detalhes', error, `
+      <button type="button" class="button button--secondary">Fechar</button>
+    `));
   }
 }
 
 /**
- * Exibe aviso de API key não configurada
+ * Abre o modal de detalhes (se já estiver aberto, só o conteúdo muda)
+ * @param {HTMLElement} triggerElement - Elemento que recebe o foco ao fechar
  */
-function showAPIKeyWarning() {
-  const container = document.getElementById('results-container');
-  if (!container) return;
+function openDetailsModal(triggerElement) {
+  if (!elements.modal.isOpen()) {
+    elements.modal.open(triggerElement);
+  }
+}
+
+/**
+ * Posição de um filme nos resultados exibidos, para anterior/próximo no modal
+ * @param {string} imdbId - ID IMDb do filme aberto
+ * @returns {Object|null} { position, total, previous, next } ou null se o filme não está na grade
+ */
+function getDetailsNavigation(imdbId) {
+  const movies = getVisibleMovies();
+  const index = movies.findIndex((movie) => movie.imdbID === imdbId);
+  if (index === -1 || movies.length < 2) return null;
+
+  return {
+    position: index + 1,
+    total: movies.length,
+    previous: movies[index - 1] || null,
+    next: movies[index + 1] || null
+  };
+}
+
+/**
+ * Carrega detalhes em segundo plano para a navegação no modal
+ * @param {string} imdbId - ID IMDb (ignorado se vazio ou já carregado)
+ */
+function prefetchMovieDetails(imdbId) {
+  if (!imdbId || appState.movieDetailsCache.has(imdbId) || isOffline()) return;
+
+  getMovieDetails(imdbId)
+    .then((movie) => {
+      appState.movieDetailsCache.set(imdbId, movie);
+      appState.offlineIds.add(imdbId);
+    })
+    .catch(() => {
+      // Sem problema: o filme é buscado de novo se o usuário avançar
+    });
+}
+
+/**
+ * Abre no modal o filme anterior ou o próximo da grade
+ * A URL é substituída (Voltar fecha o modal em vez de refazer o caminho)
+ * @param {string} direction - 'previous' ou 'next'
+ */
+async function showAdjacentMovie(direction) {
+  const movie = getDetailsNavigation(appState.openMovieId)?.[direction];
+  if (!movie) return;
+
+  await openMovieDetails(movie.imdbID, null, { historyMode: 'replace' });
+  if (appState.openMovieId !== movie.imdbID || !elements.modal.isOpen()) return;
+
+  // Ao fechar, o foco volta ao card do filme exibido
+  const card = elements.resultsContainer.querySelector(`.card__button[data-imdbid="${movie.imdbID}"]`);
+  if (card) {
+    elements.modal.setReturnFocus(card);
+  }
+
+  // Mantém o foco no mesmo botão (na ponta da lista ele fica desabilitado)
+  const navButton = elements.modal.modal.querySelector(`[data-modal-nav="${direction}"]:not([disabled])`);
+  (navButton || elements.modal.firstFocusableElement)?.focus();
+
+  const navigation = getDetailsNavigation(movie.imdbID);
+  elements.modal.announce(navigation
+    ? `${movie.Title}, ${navigation.position} de ${navigation.total}.`
+    : movie.Title);
+}
+
+/**
+ * Exibe detalhes do filme no modal (séries também carregam episódios)
+ * @param {Object} movie - Detalhes do filme ou série
+ * @param {number} selectedSeason - Temporada a exibir (séries)
+ * @param {Object} options - Opções de exibição
+ * @param {boolean} options.partial - Só o resumo da busca (offline)
+ */
+function renderDetailsView(movie, selectedSeason = 1, { partial = false } = {}) {
+  const navigation = getDetailsNavigation(movie.imdbID);
+  const html = renderMovieDetails(movie, {
+    inWatchlist: appState.watchlistIds.has(movie.imdbID),
+    selectedSeason,
+    updatedAt: getLastUpdated(movie),
+    partial,
+    navigation
+  });
+  elements.modal.setContent(html);
+  updateMetaTags(movie);
+
+  // "Próximo" abre na hora se os detalhes já estiverem carregados
+  prefetchMovieDetails(navigation?.next?.imdbID);
 
-  container.innerHTML = `
-    <div class="error-state" role="alert" style="grid-column: 1 / -1;">
-      <h2>⚙️ Configuração Necessária</h2>
-      <p><strong>API key do OMDb não configurada!</strong></p>
-      <ol style="text-align: left; margin: 1rem 0;">
-        <li>Abra <code>scripts/config.js</code></li>
-        <li>Substitua <code>YOUR_API_KEY_HERE</code> pela sua chave do OMDb</li>
-        <li>Obtenha uma chave gratuita em <a href="https://www.omdbapi.com/" target="_blank" rel="noopener">omdbapi.com</a></li>
-        <li>Recarregue a página</li>
-      </ol>
-      <p style="font-size: 0.9rem; color: #666;">Consulte o README.md para mais detalhes.</p>
+  if (movie.Type === 'series') {
+    loadSeason(movie.imdbID, selectedSeason);
+  }
+}
+
+/**
+ * Carrega episódios de uma temporada na seção de séries do modal
+ * @param {string} seriesId - ID IMDb da série
+ * @param {number} season - Número da temporada
+ */
+async function loadSeason(seriesId, season) {
+  const list = elements.modal.modal.querySelector('#episode-list');
+  if (!list) return;
+
+  // Cancela carregamento de temporada anterior
+  if (appState.seasonController) {
+    appState.seasonController.abort();
+  }
+
+  const controller = new AbortController();
+  appState.seasonController = controller;
+  list.innerHTML = '<p class="episode-list__status">Carregando episódios...</p>';
+
+  try {
+    const data = await getSeason(seriesId, season, controller.signal);
+    list.innerHTML = renderEpisodeList(data, seriesId);
+    elements.modal.updateFocusableElements();
+    elements.modal.announce(`Temporada ${season}: ${data.Episodes.length} episódio(s)`);
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    list.innerHTML = `<p class="episode-list__status" role="alert">${sanitizeString(getErrorMessage(error))}</p>`;
+  } finally {
+    if (appState.seasonController === controller) {
+      appState.seasonController = null;
+    }
+  }
+}
+
+/**
+ * Abre detalhes de um episódio no modal
+ * @param {string} seriesId - ID IMDb da série
+ * @param {number} season - Número da temporada
+ * @param {number} episode - Número do episódio
+ */
+async function openEpisodeDetails(seriesId, season, episode) {
+  const series = appState.movieDetailsCache.get(seriesId);
+  if (!series) return;
+
+  // Cancela episódio anterior ainda carregando
+  appState.episodeController?.abort();
+  const controller = new AbortController();
+  appState.episodeController = controller;
+
+  elements.modal.setContent(`
+    <div class="loading-modal" role="status">
+      <p aria-live="polite">Carregando detalhes do episódio...</p>
     </div>
-  `;
+  `);
+
+  try {
+    const data = await getEpisode(seriesId, season, episode, controller.signal);
+    // O usuário pode ter fechado o modal ou aberto outro filme durante a requisição
+    if (controller.signal.aborted || appState.openMovieId !== seriesId || !elements.modal.isOpen()) return;
+    elements.modal.setContent(renderEpisodeDetails(data, series));
+    elements.modal.announce(`Episódio ${episode}: ${data.Title}`);
+  } catch (error) {
+    if (controller.signal.aborted || appState.openMovieId !== seriesId || !elements.modal.isOpen()) return;
+    appState.retryAction = () => openEpisodeDetails(seriesId, season, episode);
+    elements.modal.setContent(renderModalError('Erro ao carregar episódio', error, `
+      <button type="button" class="button button--primary episode__back" data-imdbid="${seriesId}" data-season="${season}">
+        ← Voltar para ${sanitizeString(series.Title)}
+      </button>
+    `));
+  } finally {
+    if (appState.episodeController === controller) {
+      appState.episodeController = null;
+    }
+  }
+
+  elements.modal.firstFocusableElement?.focus();
+}
+
+/**
+ * Obtém detalhes salvos na lista, se houver
+ * @param {string} imdbId - ID IMDb
+ * @returns {Promise<Object|null>} Detalhes salvos ou null
+ */
+async function getSavedMovie(imdbId) {
+  if (!appState.watchlistIds.has(imdbId)) return null;
+  try {
+    return await getWatchlistMovie(imdbId);
+  } catch (error) {
+    console.warn('Erro ao ler lista:', error);
+    return null;
+  }
+}
+
+/**
+ * Mostra aviso de nova versão sem interromper o uso
+ * @param {ServiceWorker} worker - Service Worker em espera
+ */
+function handleUpdateAvailable(worker) {
+  appState.waitingWorker = worker;
+  if (elements.updateToast) {
+    toggleUpdateToast(elements.updateToast, true);
+  }
+}
+
+/**
+ * Executa ação do aviso de nova versão
+ * @param {HTMLButtonElement} button - Botão com data-update-action ('reload' ou 'dismiss')
+ */
+function handleUpdateAction(button) {
+  if (button.dataset.updateAction === 'reload' && appState.waitingWorker) {
+    // A página recarrega quando a versão nova assumir o controle
+    button.disabled = true;
+    button.textContent = 'Atualizando...';
+    activateUpdate(appState.waitingWorker);
+  } else {
+    // A versão nova continua esperando e assume quando todas as abas fecharem
+    toggleUpdateToast(elements.updateToast, false);
+  }
+}
+
+/**
+ * Abre o diálogo de configurações
+ * @param {HTMLElement} triggerElement - Elemento que recebe o foco ao fechar
+ */
+function openSettings(triggerElement = null) {
+  // Um diálogo por vez: o de detalhes fecha antes
+  elements.modal.close();
+
+  renderSettings();
+  elements.settingsModal.open(triggerElement);
+  elements.settingsModal.modal.querySelector('#settings-api-key')?.focus();
+}
+
+/**
+ * Renderiza o conteúdo do diálogo de configurações com o estado atual da chave
+ */
+function renderSettings() {
+  const storedKey = getStoredAPIKey();
+  elements.settingsModal.setContent(renderSettingsDialog({
+    source: getAPIKeySource(),
+    maskedKey: storedKey ? maskAPIKey(storedKey) : ''
+  }));
+  loadStorageStats();
+}
+
+/**
+ * Mede os caches (IndexedDB e Service Worker) e exibe no diálogo de configurações
+ */
+async function loadStorageStats() {
+  const [responses, serviceWorker] = await Promise.all([
+    getCacheStats(),
+    getServiceWorkerCacheSizes().catch(() => null)
+  ]);
+
+  // O diálogo pode ter sido fechado ou renderizado de novo enquanto media
+  const element = elements.settingsModal.modal.querySelector('#settings-storage');
+  if (element) {
+    renderStorageStats(element, { responses, serviceWorker });
+  }
+}
+
+/**
+ * Testa e salva a chave informada no diálogo de configurações
+ * Se a área de resultados mostrava erro de configuração, refaz a operação
+ * @param {SubmitEvent} e - Evento submit do formulário
+ */
+async function handleSettingsSubmit(e) {
+  if (e.target.id !== 'settings-form') return;
+  e.preventDefault();
+
+  const form = e.target;
+  const input = form.elements.apiKey;
+  const status = form.querySelector('#settings-status');
+  const submitButton = form.querySelector('[type="submit"]');
+
+  if (!input.value.trim()) {
+    input.setAttribute('aria-invalid', 'true');
+    updateSettingsStatus(status, 'Informe a API key.', 'error');
+    input.focus();
+    return;
+  }
+
+  appState.settingsController?.abort();
+  const controller = new AbortController();
+  appState.settingsController = controller;
+
+  input.removeAttribute('aria-invalid');
+  submitButton.disabled = true;
+  updateSettingsStatus(status, 'Testando a chave...', 'pending');
+
+  try {
+    const quota = await saveAPIKey(input.value, controller.signal);
+    const needsRetry = elements.resultsContainer.querySelector('[data-action="settings"]');
+
+    elements.settingsModal.close();
+    announce(quota.exhausted
+      ? 'Chave salva, mas o limite diário dela já foi atingido.'
+      : 'Chave do OMDb salva.');
+
+    if (needsRetry) {
+      appState.retryAction?.();
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    input.setAttribute('aria-invalid', 'true');
+    updateSettingsStatus(status, getErrorMessage(error), 'error');
+    input.focus();
+  } finally {
+    submitButton.disabled = false;
+    if (appState.settingsController === controller) {
+      appState.settingsController = null;
+    }
+  }
+}
+
+/**
+ * Remove a chave salva pelo usuário
+ */
+function handleRemoveAPIKey() {
+  removeAPIKey();
+  renderSettings();
+
+  const status = elements.settingsModal.modal.querySelector('#settings-status');
+  updateSettingsStatus(status, isConfigured()
+    ? 'Chave removida. Voltando a usar a chave padrão do site.'
+    : 'Chave removida. Informe uma nova chave para buscar filmes.');
+  elements.settingsModal.modal.querySelector('#settings-api-key')?.focus();
 }
 
 // Inicia aplicação quando DOM está pronto
@@ -289,9 +1983,11 @@ if (document.readyState === 'loading') {
 // Permite acesso a funções para debug/tests
 window.appDebug = {
   state: appState,
-  clearCache: () => {
-    localStorage.clear();
+  clearCache: async () => {
+    await clearCache();
     appState.movieDetailsCache.clear();
+    appState.offlineIds.clear();
     console.log('Cache limpo');
-  }
+  },
+  getCacheStats
 };
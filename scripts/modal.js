@@ -9,8 +9,14 @@ import { manageFocus } from './utils.js';
  * Classe para gerenciar modal com foco e acessibilidade
  */
 export class AccessibleModal {
-  constructor(modalElement) {
+  /**
+   * @param {HTMLElement} modalElement - Elemento raiz do modal
+   * @param {Object} options - Opções
+   * @param {Function} options.onClose - Callback executado após fechar
+   */
+  constructor(modalElement, { onClose = null } = {}) {
     this.modal = modalElement;
+    this.onClose = onClose;
     this.previouslyFocusedElement = null;
     this.focusableElements = null;
     this.firstFocusableElement = null;
@@ -55,6 +61,8 @@ export class AccessibleModal {
    * Fecha o modal
    */
   close() {
+    if (!this.isOpen()) return;
+
     this.modal.setAttribute('aria-hidden', 'true');
     this.modal.classList.remove('modal--open');
 
@@ -69,6 +77,10 @@ export class AccessibleModal {
     if (this.previouslyFocusedElement) {
       manageFocus(this.previouslyFocusedElement);
     }
+
+    if (this.onClose) {
+      this.onClose();
+    }
   }
 
   /**
@@ -114,6 +126,15 @@ export class AccessibleModal {
     }
   }
 
+  /**
+   * Troca o elemento que recebe o foco ao fechar
+   * (ex: o conteúdo mudou para outro filme e o foco deve voltar ao card dele)
+   * @param {HTMLElement} element - Elemento a focar ao fechar
+   */
+  setReturnFocus(element) {
+    this.previouslyFocusedElement = element;
+  }
+
   /**
    * Verifica se modal está aberto
    * @returns {boolean}
@@ -161,16 +182,17 @@ export class AccessibleModal {
 
 /**
  * Cria elemento modal HTML
+ * @param {string} labelId - ID do título que nomeia o diálogo
  * @returns {HTMLElement} Elemento modal
  */
-export function createModalElement() {
+export function createModalElement(labelId = 'modal-title') {
   const modal = document.createElement('div');
   modal.className = 'modal';
   modal.setAttribute('aria-hidden', 'true');
   modal.innerHTML = `
     <div class="modal__overlay" role="presentation"></div>
     <div class="modal__container">
-      <div role="dialog" aria-modal="true" aria-labelledby="modal-title" class="modal__content">
+      <div role="dialog" aria-modal="true" aria-labelledby="${labelId}" class="modal__content">
         <!-- Conteúdo será inserido dinamicamente -->
       </div>
     </div>
@@ -0,0 +1,106 @@
+/**
+ * Modo offline: busca sobre as respostas do OMDb guardadas no cache (IndexedDB)
+ * Só encontra filmes que já apareceram em alguma busca ou tiveram os detalhes abertos
+ * @module offline
+ */
+
+import { getCachedEntries } from './cache.js';
+import { normalizeFilters, toSearchWords } from './utils.js';
+
+/**
+ * Verifica se o navegador está sem conexão
+ * @returns {boolean} True se offline
+ */
+export function isOffline() {
+  return navigator.onLine === false;
+}
+
+/**
+ * Monta índice de filmes a partir das buscas e detalhes em cache
+ * Registros de detalhes têm prioridade sobre os resumos das buscas
+ * @returns {Promise<Map<string, Object>>} Filmes por imdbID ({ Title, Year, imdbID, Type, Poster, detailed })
+ */
+async function buildIndex() {
+  const [searches, searchesAll, details] = await Promise.all([
+    getCachedEntries('search'),
+    getCachedEntries('searchall'),
+    getCachedEntries('detail')
+  ]);
+
+  const index = new Map();
+  [...searches, ...searchesAll].forEach(({ data }) => {
+    (data.Search || []).forEach((movie) => {
+      if (movie.imdbID && !index.has(movie.imdbID)) {
+        index.set(movie.imdbID, { ...movie, detailed: false });
+      }
+    });
+  });
+
+  details.forEach(({ data }) => {
+    const { Title, Year, imdbID, Type, Poster, imdbRating } = data;
+    index.set(imdbID, { Title, Year, imdbID, Type, Poster, imdbRating, detailed: true });
+  });
+
+  return index;
+}
+
+/**
+ * Busca filmes no cache, como o OMDb: cada palavra do termo precisa aparecer no título
+ * O resultado pode estar incompleto (só o que já foi visto neste aparelho)
+ * @param {string} searchTerm - Termo de busca
+ * @param {Object} filters - Filtros de tipo e ano (ver normalizeFilters)
+ * @returns {Promise<Object>} Objeto no formato do OMDb com offline: true e uma única página
+ */
+export async function searchOffline(searchTerm, filters = {}) {
+  const { type, yearFrom, yearTo } = normalizeFilters(filters);
+  const termWords = toSearchWords(searchTerm);
+  const index = await buildIndex();
+
+  const matches = [...index.values()].filter((movie) => {
+    const year = parseInt(movie.Year, 10);
+    const titleWords = toSearchWords(movie.Title);
+    return termWords.every((word) => titleWords.includes(word)) &&
+      (!type || movie.Type === type) &&
+      (!yearFrom || (year >= yearFrom && year <= yearTo));
+  });
+
+  return {
+    Search: matches.map(({ detailed, ...movie }) => movie),
+    totalResults: String(matches.length),
+    totalPages: 1,
+    offline: true,
+    Response: 'True'
+  };
+}
+
+/**
+ * Obtém os títulos de todos os filmes em cache, sem repetição
+ * Usado nas sugestões da busca
+ * @returns {Promise<string[]>} Títulos
+ */
+export async function getCachedTitles() {
+  const index = await buildIndex();
+  return [...new Set([...index.values()].map((movie) => movie.Title).filter(Boolean))];
+}
+
+/**
+ * Obtém IDs dos filmes com detalhes em cache (abrem sem conexão)
+ * @returns {Promise<Set<string>>} IDs IMDb
+ */
+export async function getOfflineMovieIds() {
+  const details = await getCachedEntries('detail');
+  return new Set(details.map(({ data }) => data.imdbID));
+}
+
+/**
+ * Obtém o resumo de um filme visto em alguma busca (sem detalhes em cache)
+ * @param {string} imdbId - ID IMDb
+ * @returns {Promise<Object|null>} Resumo { Title, Year, imdbID, Type, Poster } ou null
+ */
+export async function getOfflineMovieSummary(imdbId) {
+  const movie = (await buildIndex()).get(imdbId);
+  if (!movie) return null;
+
+  const { detailed, ...summary } = movie;
+  return summary;
+}
@@ -0,0 +1,41 @@
+/**
+ * Registro dos provedores de dados
+ * O provedor ativo é escolhido por DATA_PROVIDER em config.js
+ * @module providers
+ */
+
+import { DATA_PROVIDER } from '../config.js';
+import { ConfigurationError } from '../errors.js';
+import { omdbProvider } from './omdb.js';
+import { localProvider } from './local.js';
+
+/**
+ * Interface comum dos provedores
+ * Todos os métodos devolvem JSON no formato do OMDb (Response "True"/"False")
+ * @typedef {Object} DataProvider
+ * @property {string} name - Identificador do provedor
+ * @property {boolean} requiresKey - Se precisa de chave do OMDb (ver settings.js)
+ * @property {boolean} cacheable - Se as respostas vão para o cache do api.js
+ * @property {Function} search - ({ term, page, type, year }, { signal, fresh }) => Promise<Object>
+ * @property {Function} details - (imdbID, { signal, fresh }) => Promise<Object>
+ * @property {Function} season - (imdbID, season, { signal, fresh }) => Promise<Object>
+ * @property {Function} episode - (imdbID, season, episode, { signal, fresh }) => Promise<Object>
+ */
+
+export const PROVIDERS = {
+  omdb: omdbProvider,
+  local: localProvider
+};
+
+/**
+ * Obtém o provedor configurado
+ * @returns {DataProvider} Provedor ativo
+ * @throws {ConfigurationError} Se DATA_PROVIDER não existir
+ */
+export function getProvider() {
+  const provider = PROVIDERS[DATA_PROVIDER];
+  if (!provider) {
+    throw new ConfigurationError(`Provedor de dados desconhecido: "${DATA_PROVIDER}". Use ${Object.keys(PROVIDERS).join(' ou ')}.`);
+  }
+  return provider;
+}
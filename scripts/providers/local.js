@@ -0,0 +1,137 @@
+/**
+ * Provedor de dados local: responde a partir de um catálogo JSON empacotado com o app
+ * Funciona sem chave e sem rede (demos, desenvolvimento e testes automatizados)
+ * @module providers/local
+ */
+
+import { LOCAL_CATALOG_URL, ITEMS_PER_PAGE } from '../config.js';
+import { APIError, NetworkError } from '../errors.js';
+import { toSearchWords } from '../utils.js';
+
+// Catálogo carregado uma única vez por sessão
+let catalogPromise = null;
+
+/**
+ * Carrega o catálogo local
+ * @returns {Promise<Object[]>} Registros no formato de detalhes do OMDb
+ * @throws {NetworkError|APIError} Se o arquivo não puder ser lido
+ */
+function loadCatalog() {
+  if (!catalogPromise) {
+    catalogPromise = fetch(LOCAL_CATALOG_URL)
+      .catch((error) => {
+        throw new NetworkError({ cause: error });
+      })
+      .then((response) => {
+        if (!response.ok) {
+          throw new APIError(`Catálogo local indisponível (HTTP ${response.status}).`, { status: response.status });
+        }
+        return response.json();
+      })
+      .then((catalog) => catalog.titles || [])
+      .catch((error) => {
+        catalogPromise = null; // Permite tentar de novo
+        throw error;
+      });
+  }
+  return catalogPromise;
+}
+
+/**
+ * Interrompe a resposta se o chamador cancelou enquanto o catálogo carregava
+ * @param {AbortSignal} signal - Signal do chamador
+ * @throws {DOMException} AbortError
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException('Requisição cancelada.', 'AbortError');
+  }
+}
+
+/**
+ * Provedor local
+ * Como no OMDb, a busca exige que cada palavra do termo apareça inteira no título
+ * @type {import('./index.js').DataProvider}
+ */
+export const localProvider = {
+  name: 'local',
+  requiresKey: false,
+  cacheable: false,
+
+  async search({ term, page = 1, type, year }, { signal } = {}) {
+    const titles = await loadCatalog();
+    throwIfAborted(signal);
+
+    const termWords = toSearchWords(term);
+    const matches = titles.filter((title) => {
+      const titleWords = toSearchWords(title.Title);
+      return termWords.every((word) => titleWords.includes(word)) &&
+        (!type || title.Type === type) &&
+        (!year || parseInt(title.Year, 10) === Number(year));
+    });
+
+    const start = (page - 1) * ITEMS_PER_PAGE;
+    const pageItems = matches.slice(start, start + ITEMS_PER_PAGE);
+    if (pageItems.length === 0) {
+      return { Response: 'False', Error: 'Movie not found!' };
+    }
+
+    return {
+      Search: pageItems.map(({ Title, Year, imdbID, Type, Poster }) => ({ Title, Year, imdbID, Type, Poster })),
+      totalResults: String(matches.length),
+      Response: 'True'
+    };
+  },
+
+  async details(imdbID, { signal } = {}) {
+    const titles = await loadCatalog();
+    throwIfAborted(signal);
+
+    const title = titles.find((item) => item.imdbID === imdbID);
+    return title
+      ? { ...title, Response: 'True' }
+      : { Response: 'False', Error: 'Incorrect IMDb ID.' };
+  },
+
+  async season(imdbID, season, { signal } = {}) {
+    const titles = await loadCatalog();
+    throwIfAborted(signal);
+
+    const series = titles.find((item) => item.imdbID === imdbID && item.Type === 'series');
+    const episodes = titles
+      .filter((item) => item.seriesID === imdbID && Number(item.Season) === Number(season))
+      .sort((a, b) => Number(a.Episode) - Number(b.Episode));
+
+    if (!series || episodes.length === 0) {
+      return { Response: 'False', Error: 'Series or season not found!' };
+    }
+
+    return {
+      Title: series.Title,
+      Season: String(season),
+      totalSeasons: series.totalSeasons,
+      Episodes: episodes.map(({ Title, Released, Episode, imdbRating, imdbID: id }) => ({
+        Title,
+        Released,
+        Episode,
+        imdbRating,
+        imdbID: id
+      })),
+      Response: 'True'
+    };
+  },
+
+  async episode(imdbID, season, episode, { signal } = {}) {
+    const titles = await loadCatalog();
+    throwIfAborted(signal);
+
+    const found = titles.find((item) =>
+      item.seriesID === imdbID &&
+      Number(item.Season) === Number(season) &&
+      Number(item.Episode) === Number(episode)
+    );
+    return found
+      ? { ...found, Response: 'True' }
+      : { Response: 'False', Error: 'Series or episode not found!' };
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * Provedor de dados OMDb (API online, exige chave)
+ * @module providers/omdb
+ */
+
+import { OMDB_BASE_URL } from '../config.js';
+import { getAPIKey } from '../settings.js';
+import { APIError, NetworkError, ServerError, RateLimitError } from '../errors.js';
+
+/**
+ * Faz uma requisição ao OMDb
+ * Respostas com Response "False" são devolvidas para o api.js validar
+ * @param {Object} params - Parâmetros da query (valores vazios são ignorados)
+ * @param {Object} options - Opções da requisição
+ * @param {AbortSignal} options.signal - Signal para cancelar requisição
+ * @param {boolean} options.fresh - Ignora o cache HTTP do navegador
+ * @param {string} options.apiKey - Chave a usar (default: a configurada, lida a cada chamada)
+ * @returns {Promise<Object>} JSON do OMDb
+ * @throws {NetworkError} Se a rede falhar
+ * @throws {ServerError} Em HTTP 5xx
+ * @throws {RateLimitError} Em HTTP 429
+ * @throws {APIError} Em outras respostas inválidas
+ */
+async function request(params, { signal = null, fresh = false, apiKey = getAPIKey() } = {}) {
+  const url = new URL(OMDB_BASE_URL);
+  url.searchParams.set('apikey', apiKey);
+  Object.entries(params).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(name, value);
+    }
+  });
+
+  let response;
+  try {
+    response = await fetch(url.toString(), {
+      signal,
+      cache: fresh ? 'no-cache' : 'force-cache'
+    });
+  } catch (error) {
+    if (error.name === 'AbortError' || signal?.aborted) throw error;
+    throw new NetworkError({ cause: error });
+  }
+
+  if (response.status >= 500) {
+    throw new ServerError(response.status);
+  }
+
+  if (response.status === 429) {
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    throw new RateLimitError({ retryAfter: retryAfter > 0 ? retryAfter * 1000 : null });
+  }
+
+  // OMDb responde erros (chave inválida, limite diário) com HTTP 401 e JSON
+  const data = await response.json().catch(() => null);
+  if (!data || (!response.ok && data.Response !== 'False')) {
+    throw new APIError(`HTTP ${response.status}`, { status: response.status });
+  }
+
+  return data;
+}
+
+/**
+ * Provedor OMDb
+ * @type {import('./index.js').DataProvider}
+ */
+export const omdbProvider = {
+  name: 'omdb',
+  requiresKey: true,
+  cacheable: true,
+
+  search({ term, page, type, year }, options) {
+    return request({ s: term, page, type, y: year }, options);
+  },
+
+  details(imdbID, options) {
+    return request({ i: imdbID, plot: 'full' }, options);
+  },
+
+  season(imdbID, season, options) {
+    return request({ i: imdbID, Season: season }, options);
+  },
+
+  episode(imdbID, season, episode, options) {
+    return request({ i: imdbID, Season: season, Episode: episode, plot: 'full' }, options);
+  }
+};
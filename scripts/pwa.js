@@ -0,0 +1,77 @@
+/**
+ * Registro do Service Worker, ativação de novas versões e consulta aos caches dele
+ * A versão nova fica esperando até o usuário confirmar, para a página
+ * não misturar scripts antigos com os novos
+ * @module pwa
+ */
+
+/**
+ * Registra o Service Worker e avisa quando uma versão nova estiver esperando
+ * @param {Object} options - Callbacks
+ * @param {Function} options.onUpdate - Recebe o ServiceWorker em espera
+ */
+export function registerServiceWorker({ onUpdate }) {
+  if (!('serviceWorker' in navigator)) return;
+
+  const register = async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js');
+
+      // Sem controller é a primeira instalação: não há versão antiga para substituir
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        onUpdate(registration.waiting);
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            onUpdate(worker);
+          }
+        });
+      });
+    } catch (error) {
+      console.warn('Erro ao registrar Service Worker:', error);
+    }
+  };
+
+  // Registra depois do load para não disputar banda com a primeira renderização
+  if (document.readyState === 'complete') {
+    register();
+  } else {
+    window.addEventListener('load', register, { once: true });
+  }
+}
+
+/**
+ * Ativa a versão em espera e recarrega a página quando ela assumir o controle
+ * @param {ServiceWorker} worker - Service Worker em espera
+ */
+export function activateUpdate(worker) {
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    window.location.reload();
+  }, { once: true });
+
+  worker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Pede ao Service Worker o tamanho dos caches (precache, API e pôsteres)
+ * @param {number} timeout - Tempo máximo de espera em ms
+ * @returns {Promise<Object|null>} { precache, api, posters, usage, quota } ou null sem Service Worker
+ */
+export function getServiceWorkerCacheSizes(timeout = 3000) {
+  const controller = navigator.serviceWorker?.controller;
+  if (!controller) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timeoutId = setTimeout(() => resolve(null), timeout);
+
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timeoutId);
+      resolve(event.data);
+    };
+    controller.postMessage({ type: 'GET_CACHE_SIZES' }, [channel.port2]);
+  });
+}
@@ -0,0 +1,153 @@
+/**
+ * Sintaxe avançada do campo de busca
+ * Ex: batman y:1989 type:series · "the matrix" 1999..2003
+ * Os operadores viram filtros; o texto restante (ou entre aspas) é o termo enviado ao OMDb
+ * @module query
+ */
+
+import { DEFAULT_SEARCH_TYPE, MAX_YEAR_RANGE, MIN_SEARCH_YEAR, MAX_SEARCH_YEAR } from './config.js';
+import { normalizeFilters, parseYear, toSearchWords } from './utils.js';
+
+const YEAR_KEYS = ['y', 'year', 'ano'];
+const TYPE_KEYS = ['type', 'tipo'];
+
+/**
+ * Valores aceitos em type: (nomes do OMDb e equivalentes em português)
+ * 'all'/'todos' desligam o filtro de tipo
+ */
+const TYPE_ALIASES = {
+  movie: 'movie',
+  filme: 'movie',
+  series: 'series',
+  serie: 'series',
+  'série': 'series',
+  episode: 'episode',
+  episodio: 'episode',
+  'episódio': 'episode',
+  all: '',
+  todos: ''
+};
+
+// "título entre aspas" (aspas de fechamento opcionais, para detectar o erro) ou palavra
+const TOKEN_PATTERN = /"([^"]*)("?)|(\S+)/g;
+const OPERATOR_PATTERN = /^([a-z]+):(.*)$/i;
+const RANGE_PATTERN = /^(\d{4})\.\.(\d{4})$/;
+
+/**
+ * Interpreta o texto digitado no campo de busca
+ * Operadores: y:1989 (ou year:/ano:), faixa 1999..2003 (solta ou em y:),
+ * type:movie|series|episode|all e "título exato" entre aspas
+ * Palavras com dois-pontos que não são operadores (ex: "Star Wars: Episode") ficam no termo
+ * @param {string} input - Texto do campo
+ * @returns {Object} { term, exact, filters, hasFilters, errors }
+ *   filters traz só os operadores informados (type e/ou yearFrom/yearTo)
+ */
+export function parseSearchQuery(input) {
+  const words = [];
+  const filters = {};
+  const errors = [];
+  let phrase = null;
+
+  const setYears = (fromValue, toValue = fromValue) => {
+    if ('yearFrom' in filters) {
+      errors.push('Informe o ano ou a faixa de anos uma única vez.');
+      return;
+    }
+
+    const invalid = [fromValue, toValue].find((value) => !parseYear(value) || !/^\d{4}$/.test(value));
+    if (invalid !== undefined) {
+      errors.push(`Ano "${invalid}" inválido. Use um ano entre ${MIN_SEARCH_YEAR} e ${MAX_SEARCH_YEAR}.`);
+      return;
+    }
+
+    const { yearFrom, yearTo } = normalizeFilters({ yearFrom: fromValue, yearTo: toValue });
+    if (yearTo - yearFrom + 1 > MAX_YEAR_RANGE) {
+      errors.push(`Faixa de anos muito grande (máximo ${MAX_YEAR_RANGE} anos).`);
+      return;
+    }
+
+    filters.yearFrom = yearFrom;
+    filters.yearTo = yearTo;
+  };
+
+  for (const [, quoted, closing, word] of String(input).matchAll(TOKEN_PATTERN)) {
+    if (quoted !== undefined) {
+      if (!closing) {
+        errors.push('Feche as aspas do título exato.');
+      } else if (phrase !== null) {
+        errors.push('Use aspas em um único título.');
+      }
+      phrase = quoted.trim();
+      continue;
+    }
+
+    const range = word.match(RANGE_PATTERN);
+    if (range) {
+      setYears(range[1], range[2]);
+      continue;
+    }
+
+    const [, key = '', value = ''] = word.match(OPERATOR_PATTERN) || [];
+    if (YEAR_KEYS.includes(key.toLowerCase())) {
+      setYears(...value.split(/\.\.|-/));
+    } else if (TYPE_KEYS.includes(key.toLowerCase())) {
+      const type = TYPE_ALIASES[value.toLowerCase()];
+      if ('type' in filters) {
+        errors.push('Informe o tipo uma única vez.');
+      } else if (type === undefined) {
+        errors.push(`Tipo "${value}" desconhecido. Use movie, series, episode ou all.`);
+      } else {
+        filters.type = type;
+      }
+    } else {
+      words.push(word);
+    }
+  }
+
+  if (phrase !== null && words.length > 0) {
+    errors.push('Com aspas, escreva só o título exato entre elas (filtros podem ficar fora).');
+  }
+
+  const term = phrase ?? words.join(' ');
+  const hasFilters = Object.keys(filters).length > 0;
+  if (!term && (hasFilters || phrase !== null) && errors.length === 0) {
+    errors.push('Digite um título além dos filtros.');
+  }
+
+  return { term, exact: phrase !== null, filters, hasFilters, errors };
+}
+
+/**
+ * Monta o texto do campo a partir de uma busca (inverso de parseSearchQuery)
+ * O tipo padrão não vira operador, como na URL
+ * @param {Object} query - Busca
+ * @param {string} query.term - Termo
+ * @param {boolean} query.exact - Título exato (entre aspas)
+ * @param {Object} query.filters - Filtros a escrever como operadores (null omite)
+ * @returns {string} Texto canônico (ex: '"the matrix" y:1999..2003 type:series')
+ */
+export function formatSearchQuery({ term, exact = false, filters = null }) {
+  const parts = [exact ? `"${term}"` : term];
+
+  if (filters) {
+    const { type, yearFrom, yearTo } = normalizeFilters(filters);
+    if (yearFrom) {
+      parts.push(yearFrom === yearTo ? `y:${yearFrom}` : `y:${yearFrom}..${yearTo}`);
+    }
+    if (type !== DEFAULT_SEARCH_TYPE) {
+      parts.push(`type:${type || 'all'}`);
+    }
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Verifica se o título é igual ao termo (ignorando maiúsculas, acentos e pontuação)
+ * @param {string} title - Título do filme
+ * @param {string} term - Termo buscado entre aspas
+ * @returns {boolean} True se igual
+ */
+export function matchesExactTitle(title, term) {
+  return toSearchWords(title).join(' ') === toSearchWords(term).join(' ');
+}
@@ -0,0 +1,64 @@
+/**
+ * Histórico de buscas recentes (salvo no navegador)
+ * @module recent
+ */
+
+import { MAX_RECENT_SEARCHES } from './config.js';
+
+const RECENT_STORAGE_KEY = 'top-fimes:recent-searches';
+
+/**
+ * Lê as buscas recentes
+ * @returns {string[]} Termos, do mais recente para o mais antigo
+ */
+export function getRecentSearches() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENT_STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter((term) => typeof term === 'string') : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Grava a lista de buscas recentes
+ * @param {string[]} terms - Termos a salvar
+ */
+function saveRecentSearches(terms) {
+  try {
+    localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(terms));
+  } catch (e) {
+    console.warn('Erro ao salvar histórico de buscas:', e);
+  }
+}
+
+/**
+ * Adiciona busca no topo do histórico (sem duplicar, ignorando maiúsculas)
+ * @param {string} term - Termo buscado
+ */
+export function addRecentSearch(term) {
+  const trimmed = term.trim();
+  if (!trimmed) return;
+
+  const others = getRecentSearches().filter((item) => item.toLowerCase() !== trimmed.toLowerCase());
+  saveRecentSearches([trimmed, ...others].slice(0, MAX_RECENT_SEARCHES));
+}
+
+/**
+ * Remove uma busca do histórico
+ * @param {string} term - Termo a remover
+ */
+export function removeRecentSearch(term) {
+  saveRecentSearches(getRecentSearches().filter((item) => item !== term));
+}
+
+/**
+ * Apaga todo o histórico de buscas
+ */
+export function clearRecentSearches() {
+  try {
+    localStorage.removeItem(RECENT_STORAGE_KEY);
+  } catch (e) {
+    console.warn('Erro ao apagar histórico de buscas:', e);
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Ordenação e refinamento de resultados no cliente (sem nova requisição)
+ * @module refine
+ */
+
+/**
+ * Ordenações disponíveis ('relevance' mantém a ordem do OMDb)
+ */
+export const SORT_OPTIONS = ['relevance', 'title', 'year-asc', 'year-desc', 'rating'];
+
+/**
+ * Estado inicial do refinamento
+ * @returns {Object} Refinamento com sort, decade e hasPoster
+ */
+export function createRefineState() {
+  return { sort: 'relevance', decade: null, hasPoster: false };
+}
+
+/**
+ * Verifica se há ordenação ou filtro diferente do padrão
+ * @param {Object} refine - Estado do refinamento
+ * @returns {boolean} True se o resultado difere da ordem original
+ */
+export function isRefined(refine) {
+  return refine.sort !== 'relevance' || refine.decade !== null || refine.hasPoster;
+}
+
+/**
+ * Extrai ano inicial (séries vêm como "2008–2013")
+ * @param {Object} movie - Filme
+ * @returns {number|null} Ano ou null
+ */
+function getStartYear(movie) {
+  const match = String(movie.Year || '').match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Obtém nota IMDb a partir dos detalhes já carregados
+ * @param {Object} movie - Filme
+ * @param {Map<string, Object>} details - Detalhes por imdbID
+ * @returns {number|null} Nota ou null se desconhecida
+ */
+export function getRating(movie, details) {
+  const rating = parseFloat(details.get(movie.imdbID)?.imdbRating ?? movie.imdbRating);
+  return Number.isNaN(rating) ? null : rating;
+}
+
+/**
+ * Verifica se o filme tem pôster
+ * @param {Object} movie - Filme
+ * @returns {boolean}
+ */
+function hasPoster(movie) {
+  return Boolean(movie.Poster) && movie.Poster !== 'N/A';
+}
+
+/**
+ * Lista décadas presentes nos resultados
+ * @param {Object[]} movies - Filmes
+ * @returns {number[]} Décadas em ordem crescente (ex: [1980, 1990])
+ */
+export function getDecades(movies) {
+  const decades = new Set();
+  movies.forEach((movie) => {
+    const year = getStartYear(movie);
+    if (year) decades.add(Math.floor(year / 10) * 10);
+  });
+  return Array.from(decades).sort((a, b) => a - b);
+}
+
+/**
+ * Compara valores deixando desconhecidos (null) sempre no fim
+ * @param {number|null} a - Valor
+ * @param {number|null} b - Valor
+ * @param {number} direction - 1 crescente, -1 decrescente
+ * @returns {number} Resultado da comparação
+ */
+function compareNullable(a, b, direction) {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return (a - b) * direction;
+}
+
+/**
+ * Aplica filtros e ordenação a uma lista de filmes
+ * @param {Object[]} movies - Filmes na ordem original
+ * @param {Object} refine - Estado do refinamento (sort, decade, hasPoster)
+ * @param {Map<string, Object>} details - Detalhes por imdbID (para nota IMDb)
+ * @returns {Object[]} Nova lista refinada
+ */
+export function refineMovies(movies, refine, details = new Map()) {
+  let result = movies.filter((movie) => {
+    if (refine.hasPoster && !hasPoster(movie)) return false;
+    if (refine.decade !== null) {
+      const year = getStartYear(movie);
+      if (!year || Math.floor(year / 10) * 10 !== refine.decade) return false;
+    }
+    return true;
+  });
+
+  // sort estável: empates mantêm a ordem do OMDb
+  const comparators = {
+    title: (a, b) => a.Title.localeCompare(b.Title, 'pt-BR', { sensitivity: 'base' }),
+    'year-asc': (a, b) => compareNullable(getStartYear(a), getStartYear(b), 1),
+    'year-desc': (a, b) => compareNullable(getStartYear(a), getStartYear(b), -1),
+    rating: (a, b) => compareNullable(getRating(a, details), getRating(b, details), -1)
+  };
+
+  if (comparators[refine.sort]) {
+    result = [...result].sort(comparators[refine.sort]);
+  }
+
+  return result;
+}
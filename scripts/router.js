@@ -0,0 +1,127 @@
+/**
+ * Roteamento por URL (deep links para busca, página e filme aberto)
+ * @module router
+ */
+
+import { DEFAULT_SEARCH_TYPE } from './config.js';
+import { extractImdbId, normalizeFilters } from './utils.js';
+import { normalizeCompareIds } from './compare.js';
+
+/**
+ * Parâmetros de URL reconhecidos pela aplicação
+ * search/popular são atalhos declarados no manifest.json
+ */
+const PARAMS = {
+  query: 'q',
+  type: 'type',
+  year: 'y',
+  page: 'page',
+  movie: 'movie',
+  view: 'view',
+  compare: 'compare',
+  search: 'search',
+  popular: 'popular'
+};
+
+const PROTOCOL_PREFIX = /^web\+topfimes:(\/\/)?/i;
+
+/**
+ * Lê o estado da aplicação a partir da URL
+ * @param {string} href - URL a interpretar (default: URL atual)
+ * @returns {Object} Rota com searchTerm, filters, page, imdbId, view, compareIds, focusSearch e showPopular
+ */
+export function parseRoute(href = window.location.href) {
+  const { searchParams } = new URL(href);
+  const typeParam = searchParams.get(PARAMS.type);
+  const [yearFrom, yearTo] = (searchParams.get(PARAMS.year) || '').split('-');
+  const page = parseInt(searchParams.get(PARAMS.page), 10);
+  const movieParam = (searchParams.get(PARAMS.movie) || '').trim();
+  const imdbId = extractImdbId(movieParam);
+  // ?compare=tt0133093,tt0234215 abre a comparação (view implícita)
+  const compareIds = normalizeCompareIds((searchParams.get(PARAMS.compare) || '').split(','));
+  let searchTerm = (searchParams.get(PARAMS.query) || '').trim();
+
+  // Protocol handler: web+topfimes:batman vira busca quando não há ID
+  if (!imdbId && movieParam && !searchTerm) {
+    searchTerm = movieParam.replace(PROTOCOL_PREFIX, '').replace(/\/+$/, '').trim();
+  }
+
+  return {
+    searchTerm,
+    filters: normalizeFilters({
+      type: typeParam === null ? undefined : typeParam,
+      yearFrom,
+      yearTo
+    }),
+    page: page > 0 ? page : 1,
+    imdbId,
+    view: compareIds.length > 0 ? 'compare' : (searchParams.get(PARAMS.view) === 'watchlist' ? 'watchlist' : 'search'),
+    compareIds,
+    focusSearch: searchParams.has(PARAMS.search),
+    showPopular: searchParams.has(PARAMS.popular)
+  };
+}
+
+/**
+ * Monta URL relativa para uma rota, mantendo o caminho atual
+ * @param {Object} route - Rota (searchTerm, filters, page, imdbId, view, compareIds)
+ * @param {string} base - URL base (default: URL atual)
+ * @returns {string} Caminho com query string
+ */
+export function buildRouteURL(route, base = window.location.href) {
+  const url = new URL(base);
+  const params = new URLSearchParams();
+
+  if (route.view === 'watchlist') {
+    params.set(PARAMS.view, route.view);
+  } else if (route.view === 'compare') {
+    const compareIds = normalizeCompareIds(route.compareIds || []);
+    if (compareIds.length > 0) {
+      params.set(PARAMS.compare, compareIds.join(','));
+    }
+  } else if (route.searchTerm) {
+    const { type, yearFrom, yearTo } = normalizeFilters(route.filters);
+    params.set(PARAMS.query, route.searchTerm);
+    if (type !== DEFAULT_SEARCH_TYPE) {
+      params.set(PARAMS.type, type || 'all');
+    }
+    if (yearFrom) {
+      params.set(PARAMS.year, yearFrom === yearTo ? yearFrom : `${yearFrom}-${yearTo}`);
+    }
+    if (route.page > 1) {
+      params.set(PARAMS.page, route.page);
+    }
+  }
+
+  if (route.imdbId) {
+    params.set(PARAMS.movie, route.imdbId);
+  }
+
+  // Vírgulas sem codificar deixam o link da comparação legível (são válidas na query string)
+  const query = params.toString().replace(/%2C/g, ',');
+  return `${url.pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Sincroniza a URL com a rota atual sem recarregar a página
+ * @param {Object} route - Rota (searchTerm, filters, page, imdbId, view)
+ * @param {Object} options - Opções
+ * @param {boolean} options.push - Cria nova entrada no histórico em vez de substituir
+ * @param {Object} options.state - Dados extras salvos na nova entrada
+ * @returns {boolean} True se uma nova entrada foi criada
+ */
+export function updateRoute(route, { push = false, state = {} } = {}) {
+  const url = buildRouteURL(route);
+  const current = `${window.location.pathname}${window.location.search}`;
+  if (url === current) return false;
+
+  if (push) {
+    // Guarda a rolagem da entrada atual para restaurar no "Voltar"
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '', current);
+    history.pushState({ ...state, scrollY: 0 }, '', url);
+    return true;
+  }
+
+  history.replaceState(history.state, '', url);
+  return false;
+}
@@ -0,0 +1,144 @@
+/**
+ * Agendador de requisições ao OMDb
+ * Compartilha uma única requisição em andamento por chave e limita quantas rodam ao mesmo tempo
+ * @module scheduler
+ */
+
+import { MAX_CONCURRENT_REQUESTS, SEARCH_TIMEOUT } from './config.js';
+import { TimeoutError } from './errors.js';
+
+// Requisições em andamento (ou na fila) por chave
+const inFlight = new Map();
+
+// Requisições aguardando vaga
+const queue = [];
+let active = 0;
+
+/**
+ * Cria erro de cancelamento no mesmo formato do fetch
+ * @returns {DOMException} Erro com name 'AbortError'
+ */
+function createAbortError() {
+  return new DOMException('Requisição cancelada.', 'AbortError');
+}
+
+/**
+ * Inicia requisições da fila enquanto houver vaga
+ * Requisições canceladas antes de começar são descartadas sem ocupar vaga
+ */
+function runQueue() {
+  while (active < MAX_CONCURRENT_REQUESTS && queue.length > 0) {
+    const job = queue.shift();
+
+    if (job.controller.signal.aborted) {
+      job.reject(createAbortError());
+      continue;
+    }
+
+    active++;
+    const timeoutId = setTimeout(() => job.controller.abort(new TimeoutError()), SEARCH_TIMEOUT);
+
+    Promise.resolve()
+      .then(() => job.task(job.controller.signal))
+      .then(job.resolve, (error) => {
+        // Expirada: o fetch rejeita com AbortError, mas a causa real é o tempo limite
+        const { reason } = job.controller.signal;
+        job.reject(reason instanceof TimeoutError ? reason : error);
+      })
+      .finally(() => {
+        clearTimeout(timeoutId);
+        active--;
+        runQueue();
+      });
+  }
+}
+
+/**
+ * Coloca requisição compartilhada na fila
+ * @param {string} key - Chave da requisição
+ * @param {Function} task - Recebe o AbortSignal compartilhado e retorna Promise
+ * @returns {Object} Requisição compartilhada { promise, controller, waiters, settled }
+ */
+function createSharedRequest(key, task) {
+  const controller = new AbortController();
+  const shared = { controller, waiters: 0, settled: false };
+
+  shared.promise = new Promise((resolve, reject) => {
+    queue.push({ task, controller, resolve, reject });
+    runQueue();
+  }).finally(() => {
+    shared.settled = true;
+    if (inFlight.get(key) === shared) {
+      inFlight.delete(key);
+    }
+  });
+
+  // Evita "unhandled rejection" quando todos os interessados já cancelaram
+  shared.promise.catch(() => {});
+
+  inFlight.set(key, shared);
+  return shared;
+}
+
+/**
+ * Agenda requisição, reaproveitando a que já estiver em andamento para a mesma chave
+ * Cancelar o signal de um chamador só o desliga da requisição;
+ * ela é cancelada de fato quando nenhum chamador restar
+ * @param {string} key - Chave da requisição (ex: chave do cache)
+ * @param {Function} task - Recebe um AbortSignal e retorna Promise com a resposta
+ * @param {AbortSignal} signal - Signal do chamador
+ * @returns {Promise<any>} Resultado da requisição
+ * @throws {DOMException} AbortError se o chamador cancelar
+ * @throws {TimeoutError} Se a requisição passar de SEARCH_TIMEOUT
+ */
+export function scheduleRequest(key, task, signal = null) {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  const shared = inFlight.get(key) || createSharedRequest(key, task);
+  shared.waiters++;
+
+  return new Promise((resolve, reject) => {
+    let attached = true;
+
+    // Desliga o chamador da requisição compartilhada (uma única vez)
+    const detach = () => {
+      if (!attached) return false;
+      attached = false;
+      shared.waiters--;
+      signal?.removeEventListener('abort', onAbort);
+      return true;
+    };
+
+    const onAbort = () => {
+      detach();
+      if (shared.waiters === 0 && !shared.settled) {
+        shared.controller.abort();
+        if (inFlight.get(key) === shared) {
+          inFlight.delete(key);
+        }
+      }
+      reject(createAbortError());
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    shared.promise.then(
+      (value) => detach() && resolve(value),
+      (error) => detach() && reject(error)
+    );
+  });
+}
+
+/**
+ * Obtém status do agendador (útil para debug)
+ * @returns {Object} { active, queued, inFlight }
+ */
+export function getSchedulerStats() {
+  return {
+    active,
+    queued: queue.length,
+    inFlight: inFlight.size
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * Chave do OMDb informada pelo usuário (salva no navegador)
+ * Tem prioridade sobre OMDB_API_KEY, permitindo usar o site publicado com a própria chave
+ * @module settings
+ */
+
+import { OMDB_API_KEY } from './config.js';
+import { isValidAPIKey } from './utils.js';
+
+const API_KEY_STORAGE_KEY = 'top-fimes:api-key';
+
+/**
+ * Lê a chave salva pelo usuário
+ * @returns {string|null} Chave ou null se não houver
+ */
+export function getStoredAPIKey() {
+  try {
+    return localStorage.getItem(API_KEY_STORAGE_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Salva a chave do usuário
+ * @param {string} apiKey - Chave já validada
+ */
+export function setStoredAPIKey(apiKey) {
+  localStorage.setItem(API_KEY_STORAGE_KEY, apiKey);
+}
+
+/**
+ * Remove a chave do usuário (volta a valer OMDB_API_KEY)
+ */
+export function clearStoredAPIKey() {
+  try {
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+  } catch (e) {
+    console.warn('Erro ao acessar localStorage:', e);
+  }
+}
+
+/**
+ * Obtém a chave usada nas requisições (lida a cada chamada)
+ * @returns {string} Chave do usuário ou OMDB_API_KEY
+ */
+export function getAPIKey() {
+  const stored = getStoredAPIKey();
+  return isValidAPIKey(stored) ? stored : OMDB_API_KEY;
+}
+
+/**
+ * Informa de onde vem a chave em uso
+ * @returns {string|null} 'stored' (usuário), 'config' (config.js/deploy) ou null se não houver
+ */
+export function getAPIKeySource() {
+  if (isValidAPIKey(getStoredAPIKey())) return 'stored';
+  return isValidAPIKey(OMDB_API_KEY) ? 'config' : null;
+}
+
+/**
+ * Mascara a chave para exibição (ex: "••••1a2b")
+ * @param {string} apiKey - Chave
+ * @returns {string} Chave com só os últimos caracteres visíveis
+ */
+export function maskAPIKey(apiKey) {
+  return `••••${String(apiKey).slice(-4)}`;
+}
@@ -0,0 +1,111 @@
+/**
+ * "Você quis dizer": variantes mais flexíveis de uma busca sem resultados
+ * A busca do OMDb exige palavras quase exatas, então erros de digitação
+ * e artigos sobrando ("the godfater") não encontram nada
+ * @module suggest
+ */
+
+import { toSearchWords } from './utils.js';
+
+/**
+ * Artigos, preposições e conjunções (inglês, português e espanhol)
+ * que costumam sobrar ou faltar nos títulos
+ */
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'of', 'and', 'in', 'on', 'at', 'to',
+  'o', 'os', 'as', 'um', 'uma', 'de', 'do', 'da', 'dos', 'das', 'e', 'em', 'no', 'na',
+  'el', 'la', 'los', 'las', 'y', 'del'
+]);
+
+// Palavras mais curtas não são corrigidas nem completadas (muitos falsos positivos)
+const MIN_WORD_LENGTH = 3;
+
+/**
+ * Distância de edição com transposição de letras vizinhas ("godfahter")
+ * Para cedo quando a distância passa do máximo aceito
+ * @param {string} a - Palavra digitada
+ * @param {string} b - Palavra conhecida
+ * @param {number} max - Distância máxima que interessa
+ * @returns {number} Distância (max + 1 se maior que max)
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousRow[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = current;
+  }
+  return row[b.length];
+}
+
+/**
+ * Corrige uma palavra com o vocabulário dos títulos em cache
+ * Prefere a palavra mais próxima; sem nenhuma próxima, completa prefixos ("godf" → "godfather")
+ * @param {string} word - Palavra normalizada
+ * @param {string[]} vocabulary - Palavras dos títulos conhecidos
+ * @returns {string} Palavra corrigida (ou a original)
+ */
+function correctWord(word, vocabulary) {
+  if (word.length < MIN_WORD_LENGTH || vocabulary.includes(word)) return word;
+
+  const max = word.length <= 4 ? 1 : 2;
+  let best = null;
+  let bestDistance = max + 1;
+  vocabulary.forEach((known) => {
+    const distance = editDistance(word, known, max);
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  });
+  if (best) return best;
+
+  const completions = vocabulary.filter((known) => known.startsWith(word));
+  return completions.length > 0
+    ? completions.reduce((shortest, known) => (known.length < shortest.length ? known : shortest))
+    : word;
+}
+
+/**
+ * Gera variantes mais flexíveis de um termo sem resultados, da mais provável para a menos
+ * 1. palavras corrigidas (erros de digitação e prefixos) pelos títulos em cache
+ * 2. sem artigos e preposições
+ * 3. corrigida e sem artigos
+ * 4. corrigida e sem a última palavra (busca mais curta)
+ * @param {string} term - Termo buscado
+ * @param {string[]} titles - Títulos em cache (vocabulário para as correções)
+ * @returns {string[]} Termos alternativos, sem repetição e diferentes do original
+ */
+export function getRelaxedTerms(term, titles = []) {
+  const words = toSearchWords(term);
+  const vocabulary = [...new Set(titles.flatMap((title) => toSearchWords(title)))];
+  const correct = (list) => list.map((word) => correctWord(word, vocabulary));
+  const corrected = correct(words);
+  const withoutStopWords = words.filter((word) => !STOP_WORDS.has(word));
+
+  const variants = [
+    corrected,
+    withoutStopWords,
+    correct(withoutStopWords),
+    corrected.slice(0, -1)
+  ];
+
+  const original = words.join(' ');
+  return [...new Set(variants
+    .filter((variant) => variant.some((word) => !STOP_WORDS.has(word)))
+    .map((variant) => variant.join(' ')))]
+    .filter((variant) => variant !== original);
+}
@@ -3,15 +3,27 @@
  * @module ui
  */
 
-import { formatYear, formatRating, truncateText, generateYouTubeTrailerURL, createSkeletonCards } from './utils.js';
+import { formatYear, formatDate, formatRating, truncateText, generateYouTubeTrailerURL, createSkeletonCards, sanitizeString, getPageRange, formatRelativeTime, formatBytes, getErrorMessage } from './utils.js';
 import { getMovieDetails } from './api.js';
+import {
+  ConfigurationError,
+  NotFoundError,
+  FilterError,
+  TimeoutError,
+  RateLimitError,
+  formatResetTime
+} from './errors.js';
 
 /**
  * Cria card de filme
  * @param {Object} movie - Objeto do filme
+ * @param {Object} options - Opções de exibição
+ * @param {boolean} options.inWatchlist - Se o filme está na lista
+ * @param {boolean} options.availableOffline - Se os detalhes abrem sem conexão
+ * @param {boolean} options.inCompare - Se o filme está na comparação
  * @returns {HTMLElement} Elemento article com card
  */
-export function createMovieCard(movie) {
+export function createMovieCard(movie, { inWatchlist = false, availableOffline = false, inCompare = false } = {}) {
   const article = document.createElement('article');
   article.className = 'card';
   article.setAttribute('role', 'region');
@@ -37,6 +49,10 @@ export function createMovieCard(movie) {
     <div class="card__content">
       <h3 class="card__title">${escapeHtml(movie.Title)}</h3>
       <p class="card__year">${year}</p>
+      ${availableOffline
+        ? '<p class="card__badge" title="Detalhes salvos neste aparelho">Disponível offline</p>'
+        : ''
+      }
       ${movie.imdbRating && movie.imdbRating !== 'N/A'
         ? `<p class="card__rating"><strong>IMDb:</strong> ${formatRating(movie.imdbRating)}/10</p>`
         : ''
@@ -48,19 +64,134 @@ export function createMovieCard(movie) {
       >
         Detalhes
       </button>
+      ${renderWatchlistButton(movie, inWatchlist, 'card__watchlist')}
+      ${renderCompareButton(movie, inCompare)}
     </div>
   `;
 
   return article;
 }
 
+/**
+ * Renderiza botão de adicionar/remover da lista
+ * @param {Object} movie - Objeto do filme
+ * @param {boolean} inWatchlist - Se o filme está na lista
+ * @param {string} className - Classe extra do botão
+ * @returns {string} HTML do botão
+ */
+function renderWatchlistButton(movie, inWatchlist, className) {
+  return `
+    <button
+      type="button"
+      class="watchlist-toggle ${className}"
+      data-imdbid="${movie.imdbID}"
+      data-title="${sanitizeString(movie.Title)}"
+      aria-pressed="${inWatchlist}"
+      aria-label="${sanitizeString(getWatchlistLabel(movie.Title, inWatchlist))}"
+    >
+      ${inWatchlist ? '★ Na lista' : '☆ Minha lista'}
+    </button>
+  `;
+}
+
+/**
+ * Cria botão que inclui/remove o filme da comparação
+ * @param {Object} movie - Filme (imdbID e Title)
+ * @param {boolean} inCompare - Se o filme já está na comparação
+ * @returns {string} HTML do botão
+ */
+function renderCompareButton(movie, inCompare) {
+  return `
+    <button
+      type="button"
+      class="compare-toggle card__compare"
+      data-imdbid="${movie.imdbID}"
+      data-title="${sanitizeString(movie.Title)}"
+      aria-pressed="${inCompare}"
+      aria-label="${sanitizeString(`Comparar ${movie.Title}`)}"
+    >
+      ${inCompare ? '✓ Comparando' : '⚖️ Comparar'}
+    </button>
+  `;
+}
+
+/**
+ * Atualiza todos os botões de comparação visíveis
+ * @param {string[]} compareIds - IDs na comparação
+ */
+export function updateCompareButtons(compareIds) {
+  document.querySelectorAll('.compare-toggle').forEach((button) => {
+    const inCompare = compareIds.includes(button.dataset.imdbid);
+    button.setAttribute('aria-pressed', String(inCompare));
+    button.textContent = inCompare ? '✓ Comparando' : '⚖️ Comparar';
+  });
+}
+
+/**
+ * Mostra ou esconde a barra de comparação com a quantidade escolhida
+ * @param {HTMLElement} element - Elemento #compare-bar
+ * @param {number} count - Filmes escolhidos
+ * @param {number} max - Máximo permitido
+ */
+export function updateCompareBar(element, count, max) {
+  if (!element) return;
+  element.hidden = count === 0;
+  if (count === 0) return;
+
+  element.innerHTML = `
+    <p class="compare-bar__message">${count} de ${max} filmes para comparar</p>
+    <button type="button" class="compare-bar__button compare-bar__button--primary" data-compare-action="show" ${count < 2 ? 'disabled aria-describedby="compare-bar-hint"' : ''}>
+      Comparar
+    </button>
+    <button type="button" class="compare-bar__button" data-compare-action="clear">Limpar</button>
+    ${count < 2 ? '<p id="compare-bar-hint" class="compare-bar__hint">Escolha pelo menos 2 filmes.</p>' : ''}
+  `;
+}
+
+/**
+ * Texto acessível do botão da lista
+ * @param {string} title - Título do filme
+ * @param {boolean} inWatchlist - Se o filme está na lista
+ * @returns {string} Label do botão
+ */
+function getWatchlistLabel(title, inWatchlist) {
+  return inWatchlist
+    ? `Remover ${title} da minha lista`
+    : `Adicionar ${title} à minha lista`;
+}
+
+/**
+ * Atualiza todos os botões da lista de um filme (cards e modal)
+ * @param {string} imdbID - ID IMDb
+ * @param {boolean} inWatchlist - Se o filme está na lista
+ */
+export function updateWatchlistButtons(imdbID, inWatchlist) {
+  document.querySelectorAll(`.watchlist-toggle[data-imdbid="${imdbID}"]`).forEach((button) => {
+    button.setAttribute('aria-pressed', String(inWatchlist));
+    button.setAttribute('aria-label', getWatchlistLabel(button.dataset.title, inWatchlist));
+    button.textContent = inWatchlist ? '★ Na lista' : '☆ Minha lista';
+  });
+}
+
 /**
  * Renderiza grade de filmes
  * @param {Object[]} movies - Array de filmes
  * @param {HTMLElement} container - Container para renderizar
  * @param {boolean} append - Se deve adicionar ou substituir conteúdo
+ * @param {Object} options - Opções de exibição
+ * @param {Set<string>} options.watchlistIds - IDs dos filmes na lista
+ * @param {Set<string>} options.offlineIds - IDs dos filmes com detalhes disponíveis offline
+ * @param {string[]} options.compareIds - IDs dos filmes escolhidos para comparar
+ * @param {string} options.emptyMessage - Mensagem quando não há filmes
  */
-export function renderMovieGrid(movies, container, append = false) {
+export function renderMovieGrid(movies, container, append = false, options = {}) {
+  const {
+    watchlistIds = new Set(),
+    offlineIds = new Set(),
+    compareIds = [],
+    emptyMessage = 'Nenhum filme encontrado. Tente outra busca.'
+  } = options;
+
   if (!append) {
     container.innerHTML = '';
   }
@@ -68,7 +199,7 @@ export function renderMovieGrid(movies, container, append = false) {
   if (!movies || movies.length === 0) {
     container.innerHTML = `
       <div class="empty-state" role="status">
-        <p>Nenhum filme encontrado. Tente outra busca.</p>
+        <p>${escapeHtml(emptyMessage)}</p>
       </div>
     `;
     return;
@@ -76,12 +207,109 @@ export function renderMovieGrid(movies, container, append = false) {
 
   movies.forEach((movie) => {
     if (movie.imdbID) {
-      const card = createMovieCard(movie);
+      const card = createMovieCard(movie, {
+        inWatchlist: watchlistIds.has(movie.imdbID),
+        availableOffline: offlineIds.has(movie.imdbID),
+        inCompare: compareIds.includes(movie.imdbID)
+      });
       container.appendChild(card);
     }
   });
 }
 
+/**
+ * Renderiza a tabela de comparação (um filme por coluna)
+ * Destaques levam texto visível além da cor, para não depender só dela
+ * @param {HTMLElement} container - Container dos resultados
+ * @param {Object[]} movies - Detalhes dos filmes, na ordem escolhida
+ * @param {Object} options - Opções de exibição
+ * @param {Object} options.highlights - { bestRating, shortestRuntime } (ver getComparisonHighlights)
+ * @param {number} options.failedCount - Filmes cujos detalhes não carregaram
+ * @param {boolean} options.shared - Filmes de um link recebido (diferentes da seleção salva)
+ */
+export function renderComparison(container, movies, { highlights, failedCount = 0, shared = false } = {}) {
+  const failedNote = failedCount > 0
+    ? `<p class="compare__note" role="note">${failedCount} filme(s) não puderam ser carregados e ficaram de fora.</p>`
+    : '';
+
+  if (movies.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state" role="status">
+        <p>Nenhum filme para comparar. Use "⚖️ Comparar" nos cards para escolher até 4 filmes.</p>
+        ${failedNote}
+      </div>
+    `;
+    return;
+  }
+
+  const renderValue = (value) => (value && value !== 'N/A' ? escapeHtml(value) : '—');
+  const renderBest = (movie, highlighted, value, badge) => `
+    <td class="compare-table__cell${highlighted.has(movie.imdbID) ? ' compare-table__cell--best' : ''}">
+      ${value}
+      ${highlighted.has(movie.imdbID) ? `<span class="compare-table__badge">${badge}</span>` : ''}
+    </td>
+  `;
+
+  const rows = [
+    ['Ano', (movie) => `<td class="compare-table__cell">${formatYear(movie.Year)}</td>`],
+    ['Duração', (movie) => renderBest(movie, highlights.shortestRuntime, renderValue(movie.Runtime), 'Menor duração')],
+    ['Nota IMDb', (movie) => renderBest(movie, highlights.bestRating, `${formatRating(movie.imdbRating)}/10`, 'Maior nota')],
+    ['Gênero', (movie) => `<td class="compare-table__cell">${renderValue(movie.Genre)}</td>`],
+    ['Diretor', (movie) => `<td class="compare-table__cell">${renderValue(movie.Director)}</td>`],
+    ['Elenco', (movie) => `<td class="compare-table__cell">${renderValue(movie.Actors)}</td>`]
+  ];
+
+  container.innerHTML = `
+    <div class="compare">
+      ${shared
+        ? `<div class="compare__shared" role="note">
+             <p>Comparação recebida por link. Sua seleção de filmes não foi alterada.</p>
+             <button type="button" class="compare-table__button" data-compare-adopt>Usar como minha seleção</button>
+           </div>`
+        : ''
+      }
+      <div class="compare__scroll" role="region" aria-labelledby="compare-caption" tabindex="0">
+        <table class="compare-table">
+          <caption id="compare-caption" class="compare-table__caption">Comparação de ${movies.length} filme(s)</caption>
+          <thead>
+            <tr>
+              <td class="compare-table__corner"></td>
+              ${movies.map((movie) => `
+                <th scope="col" class="compare-table__movie">
+                  <img
+                    src="${movie.Poster && movie.Poster !== 'N/A' ? movie.Poster : '/assets/placeholder.svg'}"
+                    alt=""
+                    class="compare-table__poster"
+                    loading="lazy"
+                    decoding="async"
+                    width="100"
+                    height="150"
+                  />
+                  <span class="compare-table__title">${escapeHtml(movie.Title)}</span>
+                  <span class="compare-table__actions">
+                    <button type="button" class="compare-table__button" data-compare-details="${movie.imdbID}" aria-label="Ver detalhes de ${sanitizeString(movie.Title)}">Detalhes</button>
+                    <button type="button" class="compare-table__button" data-compare-remove="${movie.imdbID}" aria-label="Remover ${sanitizeString(movie.Title)} da comparação">Remover</button>
+                  </span>
+                </th>
+              `).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(([label, renderCell]) => `
+              <tr>
+                <th scope="row" class="compare-table__label">${label}</th>
+                ${movies.map(renderCell).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      ${movies.length < 2 ? '<p class="compare__note" role="note">Escolha mais filmes para ver os destaques.</p>' : ''}
+      ${failedNote}
+    </div>
+  `;
+}
+
 /**
  * Renderiza estado de carregamento (skeleton)
  * @param {HTMLElement} container - Container para renderizar
@@ -93,16 +321,131 @@ export function renderLoadingState(container, count = 6) {
   skeletons.forEach((skeleton) => container.appendChild(skeleton));
 }
 
+// Rótulos das ações oferecidas nos estados de erro
+const ERROR_ACTION_LABELS = {
+  retry: 'Tentar novamente',
+  settings: 'Configurar API key',
+  'clear-filters': 'Limpar filtros'
+};
+
 /**
- * Renderiza estado de erro
- * @param {HTMLElement} container - Container para renderizar
- * @param {string} errorMessage - Mensagem de erro
+ * Escolhe as ações que resolvem cada causa de erro
+ * @param {Error|string} error - Erro capturado (texto não oferece ações)
+ * @param {Object} options - Contexto do erro
+ * @param {boolean} options.hasFilters - Se há filtros de busca ativos
+ * @returns {string[]} Ações ('retry', 'settings', 'clear-filters')
+ */
+function getErrorActions(error, { hasFilters = false } = {}) {
+  if (typeof error === 'string') return [];
+  if (error instanceof ConfigurationError) return ['settings'];
+  if (error instanceof NotFoundError) return hasFilters ? ['clear-filters'] : [];
+  if (error instanceof FilterError) return ['clear-filters'];
+  // Limite diário: tentar de novo não adianta até a liberação
+  if (error instanceof RateLimitError && error.daily) return [];
+  return ['retry'];
+}
+
+/**
+ * Obtém dica complementar para cada causa de erro
+ * @param {Error|string} error - Erro capturado
+ * @param {Object} options - Contexto do erro
+ * @param {boolean} options.hasFilters - Se há filtros de busca ativos
+ * @returns {string} Dica ou string vazia
+ */
+function getErrorHint(error, { hasFilters = false } = {}) {
+  if (error instanceof ConfigurationError) return 'Configure sua chave do OMDb para buscar filmes.';
+  if (error instanceof NotFoundError) {
+    return hasFilters
+      ? 'Os filtros de tipo e ano podem estar restringindo a busca.'
+      : 'Confira a grafia ou tente um termo mais geral.';
+  }
+  if (error instanceof FilterError) return 'Ajuste os filtros de ano ou limpe-os para buscar.';
+  if (error instanceof RateLimitError && error.daily) return 'Buscas já feitas continuam disponíveis.';
+  if (error instanceof TimeoutError) return 'Verifique sua conexão e tente novamente.';
+  return '';
+}
+
+/**
+ * Renderiza botões de ação de um estado de erro
+ * @param {string[]} actions - Ações ('retry', 'settings', 'clear-filters')
+ * @returns {string} HTML dos botões (vazio se não houver ações)
  */
-export function renderErrorState(container, errorMessage) {
+function renderErrorActions(actions) {
+  if (actions.length === 0) return '';
+
+  return `
+    <div class="error-state__actions">
+      ${actions.map((action) => `
+        <button type="button" class="button button--primary" data-action="${action}">
+          ${ERROR_ACTION_LABELS[action]}
+        </button>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Renderiza estado de erro com mensagem e ações conforme a causa
+ * @param {HTMLElement} container - Container
+ * @param {Error|string} error - Erro capturado ou mensagem
+ * @param {Object} options - Contexto do erro
+ * @param {boolean} options.hasFilters - Se há filtros de busca ativos (oferece "Limpar filtros")
+ */
+export function renderErrorState(container, error, { hasFilters = false } = {}) {
+  const hint = getErrorHint(error, { hasFilters });
+
   container.innerHTML = `
     <div class="error-state" role="alert">
-      <p><strong>Erro:</strong> ${escapeHtml(errorMessage)}</p>
-      <p class="error-state__hint">Verifique sua conexão e tente novamente.</p>
+      <p><strong>Erro:</strong> ${escapeHtml(getErrorMessage(error))}</p>
+      ${hint ? `<p class="error-state__hint">${escapeHtml(hint)}</p>` : ''}
+      ${renderErrorActions(getErrorActions(error, { hasFilters }))}
+    </div>
+  `;
+}
+
+/**
+ * Renderiza "Você quis dizer" no lugar do erro de busca sem resultados
+ * @param {HTMLElement} container - Container
+ * @param {string} searchTerm - Termo que não encontrou nada
+ * @param {Object[]} alternatives - Alternativas com resultados ({ term, query, totalResults })
+ *   query é o texto que vai para o campo de busca (termo com os operadores da busca original)
+ */
+export function renderDidYouMean(container, searchTerm, alternatives) {
+  container.innerHTML = `
+    <div class="did-you-mean" role="alert">
+      <p><strong>Nenhum resultado para "${escapeHtml(searchTerm)}".</strong></p>
+      <p id="did-you-mean-label" class="did-you-mean__label">Você quis dizer:</p>
+      <ul class="did-you-mean__list" aria-labelledby="did-you-mean-label">
+        ${alternatives.map(({ term, query, totalResults }) => `
+          <li>
+            <button type="button" class="did-you-mean__option" data-did-you-mean="${sanitizeString(query)}">
+              <span class="did-you-mean__term">${escapeHtml(term)}</span>
+              <span class="did-you-mean__count">${totalResults} resultado(s)</span>
+            </button>
+          </li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Renderiza erro dentro do modal de detalhes
+ * @param {string} title - Título do erro
+ * @param {Error|string} error - Erro capturado
+ * @param {string} footer - HTML extra no rodapé (ex: botão de voltar)
+ * @returns {string} HTML do conteúdo do modal
+ */
+export function renderModalError(title, error, footer = '') {
+  const hint = getErrorHint(error);
+
+  return `
+    <div class="error-modal" role="alert">
+      <h2 id="modal-title">${escapeHtml(title)}</h2>
+      <p>${escapeHtml(getErrorMessage(error))}</p>
+      ${hint ? `<p class="error-state__hint">${escapeHtml(hint)}</p>` : ''}
+      ${renderErrorActions(getErrorActions(error))}
+      ${footer}
     </div>
   `;
 }
@@ -110,9 +453,15 @@ export function renderErrorState(container, errorMessage) {
 /**
  * Renderiza detalhes do filme em modal
  * @param {Object} movie - Objeto com detalhes do filme
+ * @param {Object} options - Opções de exibição
+ * @param {boolean} options.inWatchlist - Se o filme está na lista
+ * @param {number} options.selectedSeason - Temporada inicial (séries)
+ * @param {number} options.updatedAt - Quando os dados foram obtidos do OMDb
+ * @param {boolean} options.partial - Só o resumo da busca (offline, sem detalhes em cache)
+ * @param {Object} options.navigation - Anterior/próximo nos resultados (ver renderModalNavigation)
  * @returns {string} HTML do conteúdo do modal
  */
-export function renderMovieDetails(movie) {
+export function renderMovieDetails(movie, { inWatchlist = false, selectedSeason = 1, updatedAt = null, partial = false, navigation = null } = {}) {
   const posterUrl = movie.Poster && movie.Poster !== 'N/A'
     ? movie.Poster
     : '/assets/placeholder.svg';
@@ -155,10 +504,16 @@ export function renderMovieDetails(movie) {
     <button class="modal__close" aria-label="Fechar detalhes do filme">
       <span aria-hidden="true">&times;</span>
     </button>
+    ${navigation ? renderModalNavigation(navigation) : ''}
     <div class="modal__header">
       <h2 id="modal-title">${escapeHtml(movie.Title)}</h2>
       <p class="modal__year">${year}</p>
+      ${renderLastUpdated(updatedAt)}
     </div>
+    ${partial
+      ? '<p class="modal__notice" role="note">Você está offline e só as informações básicas deste título estão salvas.</p>'
+      : ''
+    }
     <div class="modal__body">
       <img 
         src="${posterUrl}"
@@ -204,6 +559,7 @@ export function renderMovieDetails(movie) {
         </div>
       </div>
     </div>
+    ${movie.Type === 'series' ? renderSeasonPicker(movie, selectedSeason) : ''}
     <div class="modal__footer">
       <a 
         href="${trailerUrl}"
@@ -214,6 +570,7 @@ export function renderMovieDetails(movie) {
       >
         🎬 Ver Trailer
       </a>
+      ${renderWatchlistButton(movie, inWatchlist, 'button button--watchlist')}
       <button class="button button--secondary" aria-label="Fechar modal">
         Fechar
       </button>
@@ -221,50 +578,729 @@ export function renderMovieDetails(movie) {
   `;
 }
 
+/**
+ * Renderiza indicador de quando os dados foram obtidos do OMDb
+ * @param {number|null} timestamp - Momento da última atualização
+ * @returns {string} HTML do indicador (vazio se desconhecido)
+ */
+export function renderLastUpdated(timestamp) {
+  if (!timestamp) return '';
+
+  const date = new Date(timestamp);
+  return `
+    <p class="last-updated">
+      Atualizado
+      <time datetime="${date.toISOString()}" title="${date.toLocaleString('pt-BR')}">${formatRelativeTime(timestamp)}</time>
+    </p>
+  `;
+}
+
+/**
+ * Atualiza aviso de cota diária da API esgotada
+ * @param {HTMLElement} element - Elemento do aviso
+ * @param {Object} status - Estado obtido por getQuotaStatus
+ */
+export function updateQuotaBanner(element, { exhausted, resetAt }) {
+  element.hidden = !exhausted;
+  element.innerHTML = exhausted
+    ? `<strong>Limite diário da API OMDb atingido.</strong>
+       Mostrando apenas resultados em cache até
+       <time datetime="${resetAt.toISOString()}">${formatResetTime(resetAt)}</time>.`
+    : '';
+}
+
+/**
+ * Atualiza aviso de conexão perdida
+ * @param {HTMLElement} element - Elemento do aviso
+ * @param {boolean} offline - Se o navegador está sem conexão
+ */
+export function updateOfflineBanner(element, offline) {
+  element.hidden = !offline;
+  element.innerHTML = offline
+    ? `<strong>Você está offline.</strong>
+       As buscas usam apenas filmes já vistos neste aparelho.`
+    : '';
+}
+
+/**
+ * Mostra (ou limpa) os erros de sintaxe da busca abaixo do campo
+ * O erro entra na descrição do campo enquanto estiver visível
+ * @param {HTMLInputElement} input - Campo de busca
+ * @param {HTMLElement} element - Elemento #search-error
+ * @param {string[]} errors - Mensagens (vazio limpa)
+ */
+export function updateSearchError(input, element, errors) {
+  const hasErrors = errors.length > 0;
+  const describedBy = (input.getAttribute('aria-describedby') || '')
+    .split(/\s+/)
+    .filter((id) => id && id !== element.id);
+
+  element.textContent = errors.join(' ');
+  element.hidden = !hasErrors;
+  input.setAttribute('aria-describedby', (hasErrors ? [element.id, ...describedBy] : describedBy).join(' '));
+  if (hasErrors) {
+    input.setAttribute('aria-invalid', 'true');
+  } else {
+    input.removeAttribute('aria-invalid');
+  }
+}
+
+/**
+ * Renderiza as sugestões da busca em grupos (buscas recentes e títulos em cache)
+ * Cada opção recebe um ID único para aria-activedescendant
+ * @param {HTMLElement} listbox - Elemento com role="listbox"
+ * @param {Object} suggestions - Sugestões
+ * @param {string[]} suggestions.recent - Buscas recentes
+ * @param {string[]} suggestions.titles - Títulos de filmes em cache
+ */
+export function renderSearchSuggestions(listbox, { recent = [], titles = [] }) {
+  let index = 0;
+  const renderGroup = (kind, label, values) => {
+    if (values.length === 0) return '';
+
+    return `
+      <div class="search-suggestions__group" role="group" aria-labelledby="search-suggestions-${kind}">
+        <div id="search-suggestions-${kind}" class="search-suggestions__heading" role="presentation">${label}</div>
+        ${values.map((value) => {
+          const safeValue = sanitizeString(value);
+          const remove = kind === 'recent'
+            ? `<span class="search-suggestions__remove" data-suggestion-action="remove" title="Remover do histórico" aria-hidden="true">✕</span>`
+            : '';
+          return `
+            <div id="search-suggestion-${index++}" class="search-suggestions__option search-suggestions__option--${kind}" role="option" aria-selected="false" data-kind="${kind}" data-value="${safeValue}">
+              <span class="search-suggestions__icon" aria-hidden="true">${kind === 'recent' ? '🕘' : '🎬'}</span>
+              <span class="search-suggestions__text">${safeValue}</span>
+              ${remove}
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  };
+
+  listbox.innerHTML = renderGroup('recent', 'Buscas recentes', recent) + renderGroup('titles', 'Filmes já vistos', titles);
+}
+
+/**
+ * Renderiza aviso de resultados vindos do cache offline
+ * @returns {string} HTML do aviso
+ */
+export function renderOfflineResultsNote() {
+  return '<p class="results-offline">Resultados offline, podem estar incompletos</p>';
+}
+
+/**
+ * Mostra ou esconde aviso de nova versão do app
+ * O conteúdo só é inserido ao mostrar, para o leitor de tela anunciar
+ * @param {HTMLElement} element - Elemento do aviso
+ * @param {boolean} visible - Se há versão nova esperando
+ */
+export function toggleUpdateToast(element, visible) {
+  element.hidden = !visible;
+  element.innerHTML = visible
+    ? `<p class="toast__message">Nova versão disponível.</p>
+       <button type="button" class="toast__button toast__button--primary" data-update-action="reload">Recarregar</button>
+       <button type="button" class="toast__button" data-update-action="dismiss">Agora não</button>`
+    : '';
+}
+
+// Descrição da chave em uso por origem (ver getAPIKeySource)
+const API_KEY_SOURCE_LABELS = {
+  stored: 'Em uso: sua chave',
+  config: 'Em uso: chave padrão do site.',
+  none: 'Nenhuma chave configurada.'
+};
+
+/**
+ * Renderiza diálogo de configurações (chave do OMDb)
+ * @param {Object} options - Estado da chave
+ * @param {string|null} options.source - Origem da chave em uso ('stored', 'config' ou null)
+ * @param {string} options.maskedKey - Chave do usuário mascarada (se source for 'stored')
+ * @returns {string} HTML do conteúdo do modal
+ */
+export function renderSettingsDialog({ source = null, maskedKey = '' } = {}) {
+  const current = source === 'stored'
+    ? `${API_KEY_SOURCE_LABELS.stored} (${escapeHtml(maskedKey)}).`
+    : API_KEY_SOURCE_LABELS[source || 'none'];
+
+  return `
+    <button class="modal__close" aria-label="Fechar configurações">
+      <span aria-hidden="true">&times;</span>
+    </button>
+    <div class="modal__header">
+      <h2 id="settings-title">Configurações</h2>
+    </div>
+    <form id="settings-form" class="settings-form" novalidate>
+      <label for="settings-api-key" class="settings-form__label">API key do OMDb</label>
+      <input
+        type="text"
+        id="settings-api-key"
+        name="apiKey"
+        class="settings-form__input"
+        autocomplete="off"
+        spellcheck="false"
+        required
+        aria-describedby="settings-api-key-help settings-status"
+      />
+      <p id="settings-api-key-help" class="settings-form__help">
+        ${current}
+        A chave fica salva apenas neste navegador.
+        Obtenha uma gratuita em <a href="https://www.omdbapi.com/apikey.aspx" target="_blank" rel="noopener noreferrer">omdbapi.com</a>.
+      </p>
+      <p id="settings-status" class="settings-form__status" role="status" aria-live="polite"></p>
+      <div class="modal__footer">
+        <button type="submit" class="button button--primary">Testar e salvar</button>
+        ${source === 'stored'
+          ? '<button type="button" class="button" data-settings-action="remove">Remover chave</button>'
+          : ''
+        }
+        <button type="button" class="button button--secondary">Fechar</button>
+      </div>
+    </form>
+    <section class="settings-storage" aria-labelledby="settings-storage-title">
+      <h3 id="settings-storage-title" class="settings-storage__title">Armazenamento</h3>
+      <div id="settings-storage" aria-busy="true">
+        <p class="settings-form__help">Calculando...</p>
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Renderiza tamanho dos caches no diálogo de configurações
+ * @param {HTMLElement} element - Elemento #settings-storage
+ * @param {Object} stats - Tamanhos
+ * @param {Object} stats.responses - Cache de respostas (getCacheStats do api.js)
+ * @param {Object|null} stats.serviceWorker - Caches do Service Worker (null se inativo)
+ */
+export function renderStorageStats(element, { responses, serviceWorker }) {
+  const rows = [
+    ['Respostas do OMDb', `${responses.indexedDBEntries} de ${responses.maxEntries} · ${formatBytes(responses.indexedDBBytes)} de ${formatBytes(responses.maxBytes)}`]
+  ];
+
+  if (serviceWorker) {
+    rows.push(
+      ['Pôsteres', `${serviceWorker.posters.entries} de ${serviceWorker.posters.maxEntries}`],
+      ['Respostas offline', `${serviceWorker.api.entries} de ${serviceWorker.api.maxEntries}`],
+      ['Arquivos do app', String(serviceWorker.precache.entries)]
+    );
+    if (serviceWorker.usage !== null) {
+      rows.push(['Uso total', `${formatBytes(serviceWorker.usage)} de ${formatBytes(serviceWorker.quota)}`]);
+    }
+  } else {
+    rows.push(['Service Worker', 'Inativo (sem cache offline)']);
+  }
+
+  element.removeAttribute('aria-busy');
+  element.innerHTML = `
+    <dl class="settings-storage__list">
+      ${rows.map(([label, value]) => `
+        <div class="settings-storage__item">
+          <dt>${label}</dt>
+          <dd>${value}</dd>
+        </div>
+      `).join('')}
+    </dl>
+  `;
+}
+
+/**
+ * Atualiza mensagem de status do diálogo de configurações
+ * @param {HTMLElement} element - Elemento #settings-status
+ * @param {string} message - Mensagem (vazia limpa o status)
+ * @param {string} state - '', 'pending', 'success' ou 'error'
+ */
+export function updateSettingsStatus(element, message, state = '') {
+  element.textContent = message;
+  element.className = `settings-form__status${state ? ` settings-form__status--${state}` : ''}`;
+}
+
+/**
+ * Rótulos dos tipos de busca do OMDb
+ */
+const TYPE_LABELS = {
+  '': 'Todos os tipos',
+  movie: 'Filmes',
+  series: 'Séries',
+  episode: 'Episódios'
+};
+
+/**
+ * Descreve filtros ativos em texto curto (ex: "Séries · 1990–1995")
+ * @param {Object} filters - Filtros normalizados (type, yearFrom, yearTo)
+ * @returns {string} Descrição dos filtros
+ */
+export function formatFilters(filters = {}) {
+  const parts = [TYPE_LABELS[filters.type || ''] || filters.type];
+
+  if (filters.yearFrom && filters.yearTo && filters.yearFrom !== filters.yearTo) {
+    parts.push(`${filters.yearFrom}–${filters.yearTo}`);
+  } else if (filters.yearFrom) {
+    parts.push(String(filters.yearFrom));
+  }
+
+  return parts.join(' · ');
+}
+
+/**
+ * Renderiza seletor de temporadas de uma série
+ * A lista de episódios é preenchida depois via renderEpisodeList
+ * @param {Object} series - Detalhes da série
+ * @param {number} selectedSeason - Temporada selecionada
+ * @returns {string} HTML da seção de temporadas
+ */
+export function renderSeasonPicker(series, selectedSeason = 1) {
+  const totalSeasons = parseInt(series.totalSeasons, 10) || 0;
+  if (totalSeasons === 0) return '';
+
+  const options = Array.from({ length: totalSeasons }, (_, i) => i + 1)
+    .map((season) => `
+      <option value="${season}" ${season === selectedSeason ? 'selected' : ''}>Temporada ${season}</option>
+    `)
+    .join('');
+
+  return `
+    <section class="modal__seasons" aria-labelledby="seasons-title">
+      <div class="modal__seasons-header">
+        <h3 id="seasons-title">Episódios</h3>
+        <label for="season-select" class="sr-only">Temporada</label>
+        <select id="season-select" class="modal__season-select" data-imdbid="${series.imdbID}">
+          ${options}
+        </select>
+      </div>
+      <div id="episode-list" class="episode-list">
+        <p class="episode-list__status">Carregando episódios...</p>
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Renderiza lista de episódios de uma temporada
+ * @param {Object} season - Resposta de getSeason
+ * @param {string} seriesId - ID IMDb da série
+ * @returns {string} HTML da lista
+ */
+export function renderEpisodeList(season, seriesId) {
+  if (!season.Episodes || season.Episodes.length === 0) {
+    return '<p class="episode-list__status">Nenhum episódio encontrado nesta temporada.</p>';
+  }
+
+  const items = season.Episodes.map((episode) => {
+    const rating = formatRating(episode.imdbRating);
+    const released = episode.Released && episode.Released !== 'N/A'
+      ? `<time datetime="${episode.Released}">${formatDate(episode.Released)}</time>`
+      : '<span>Data desconhecida</span>';
+
+    return `
+      <li class="episode-list__item">
+        <button
+          type="button"
+          class="episode-list__button"
+          data-imdbid="${seriesId}"
+          data-season="${season.Season}"
+          data-episode="${episode.Episode}"
+          aria-label="Ver detalhes do episódio ${episode.Episode}: ${sanitizeString(episode.Title)}"
+        >
+          <span class="episode-list__number">E${episode.Episode}</span>
+          <span class="episode-list__title">${escapeHtml(episode.Title)}</span>
+        </button>
+        <span class="episode-list__meta">
+          <span aria-label="Nota IMDb ${rating}">★ ${rating}</span>
+          ${released}
+        </span>
+      </li>
+    `;
+  }).join('');
+
+  return `<ol class="episode-list__items">${items}</ol>`;
+}
+
+/**
+ * Renderiza detalhes de um episódio em modal
+ * @param {Object} episode - Resposta de getEpisode
+ * @param {Object} series - Detalhes da série (para o botão de voltar)
+ * @returns {string} HTML do conteúdo do modal
+ */
+export function renderEpisodeDetails(episode, series) {
+  const posterUrl = episode.Poster && episode.Poster !== 'N/A'
+    ? episode.Poster
+    : '/assets/placeholder.svg';
+
+  return `
+    <button class="modal__close" aria-label="Fechar detalhes do episódio">
+      <span aria-hidden="true">&times;</span>
+    </button>
+    <div class="modal__header">
+      <p class="modal__series">${escapeHtml(series.Title)} · Temporada ${episode.Season}, episódio ${episode.Episode}</p>
+      <h2 id="modal-title">${escapeHtml(episode.Title)}</h2>
+      <p class="modal__year">${formatDate(episode.Released)}</p>
+    </div>
+    <div class="modal__body">
+      <img
+        src="${posterUrl}"
+        alt="Imagem do episódio ${sanitizeString(episode.Title)}"
+        class="modal__poster"
+        loading="lazy"
+        decoding="async"
+        width="200"
+        height="300"
+      />
+      <div class="modal__info">
+        ${renderDetailSection('Sinopse', episode.Plot)}
+        ${renderDetailSection('Duração', episode.Runtime)}
+        ${renderDetailSection('Diretor', episode.Director)}
+        ${renderDetailSection('Roteiro', episode.Writer)}
+        ${renderDetailSection('Elenco Principal', episode.Actors)}
+        <div class="modal__section">
+          <h3>Avaliação IMDb</h3>
+          <p><strong>${formatRating(episode.imdbRating)}/10</strong></p>
+        </div>
+      </div>
+    </div>
+    <div class="modal__footer">
+      <button
+        type="button"
+        class="button button--primary episode__back"
+        data-imdbid="${series.imdbID}"
+        data-season="${episode.Season}"
+      >
+        ← Voltar para ${escapeHtml(series.Title)}
+      </button>
+      <button class="button button--secondary" aria-label="Fechar modal">
+        Fechar
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Renderiza seção de informação do modal (omitida se valor ausente)
+ * @param {string} title - Título da seção
+ * @param {string} value - Conteúdo
+ * @returns {string} HTML da seção
+ */
+function renderDetailSection(title, value) {
+  if (!value || value === 'N/A') return '';
+  return `
+    <div class="modal__section">
+      <h3>${title}</h3>
+      <p>${escapeHtml(value)}</p>
+    </div>
+  `;
+}
+
+/**
+ * Renderiza os botões anterior/próximo do modal de detalhes
+ * Nas pontas da lista o botão fica desabilitado (não volta ao início)
+ * @param {Object} navigation - Posição nos resultados exibidos
+ * @param {number} navigation.position - Posição do filme aberto (a partir de 1)
+ * @param {number} navigation.total - Total de filmes exibidos
+ * @param {Object|null} navigation.previous - Filme anterior
+ * @param {Object|null} navigation.next - Próximo filme
+ * @returns {string} HTML da navegação
+ */
+function renderModalNavigation({ position, total, previous, next }) {
+  const renderButton = (direction, movie, label, shortcut) => `
+    <button
+      type="button"
+      class="modal__nav-button"
+      data-modal-nav="${direction}"
+      aria-keyshortcuts="${shortcut}"
+      ${movie ? `aria-label="${label}: ${sanitizeString(movie.Title)}"` : 'disabled'}
+    >
+      ${direction === 'previous' ? `<span aria-hidden="true">←</span> ${label}` : `${label} <span aria-hidden="true">→</span>`}
+    </button>
+  `;
+
+  return `
+    <nav class="modal__nav" aria-label="Navegar entre os resultados">
+      ${renderButton('previous', previous, 'Anterior', 'ArrowLeft')}
+      <span class="modal__nav-position">${position} de ${total}</span>
+      ${renderButton('next', next, 'Próximo', 'ArrowRight')}
+    </nav>
+  `;
+}
+
 /**
  * Atualiza contagem de resultados
  * @param {HTMLElement} element - Elemento para atualizar
  * @param {number} count - Número de resultados
  * @param {string} searchTerm - Termo de busca
+ * @param {Object} filters - Filtros ativos (opcional)
+ * @param {Object} options - Opções
+ * @param {boolean} options.exact - Busca por título exato ("entre aspas")
  */
-export function updateResultsCount(element, count, searchTerm) {
+export function updateResultsCount(element, count, searchTerm, filters = null, { exact = false } = {}) {
   if (!element) return;
   element.setAttribute('role', 'status');
   element.setAttribute('aria-live', 'polite');
   element.setAttribute('aria-atomic', 'true');
-  element.textContent = `${count} resultado(s) encontrado(s) para "${escapeHtml(searchTerm)}"`;
+  const details = [exact && 'título exato', filters && formatFilters(filters)].filter(Boolean);
+  const filterText = details.length > 0 ? ` (${details.join(' · ')})` : '';
+  element.textContent = `${count} resultado(s) encontrado(s) para "${escapeHtml(searchTerm)}"${filterText}`;
 }
 
 /**
- * Cria elementos de paginação
+ * Cria elementos de paginação numerada ("Página 3 de 47", números e campo "Ir para")
+ * Setas esquerda/direita movem o foco entre os botões; Home/End vão ao primeiro/último
  * @param {number} currentPage - Página atual
- * @param {boolean} hasNextPage - Se há próxima página
+ * @param {number} totalPages - Total de páginas
  * @param {HTMLElement} container - Container para paginação
- * @param {Function} onNextPage - Callback para próxima página
+ * @param {Function} onPageChange - Callback com o número da página escolhida
  */
-export function renderPagination(currentPage, hasNextPage, container, onNextPage) {
+export function renderPagination(currentPage, totalPages, container, onPageChange) {
   container.innerHTML = '';
+  if (totalPages <= 1) return;
+
+  const controls = document.createElement('div');
+  controls.className = 'pagination__controls';
+  controls.addEventListener('keydown', handlePaginationKeydown);
 
   if (currentPage > 1) {
     const prevBtn = document.createElement('button');
     prevBtn.className = 'pagination__button';
     prevBtn.textContent = '← Anterior';
-    prevBtn.addEventListener('click', () => onNextPage(currentPage - 1));
-    container.appendChild(prevBtn);
+    prevBtn.setAttribute('aria-label', 'Página anterior');
+    prevBtn.addEventListener('click', () => onPageChange(currentPage - 1));
+    controls.appendChild(prevBtn);
   }
 
-  const pageInfo = document.createElement('span');
-  pageInfo.className = 'pagination__info';
-  pageInfo.textContent = `Página ${currentPage}`;
-  container.appendChild(pageInfo);
+  const list = document.createElement('ol');
+  list.className = 'pagination__pages';
+
+  getPageRange(currentPage, totalPages).forEach((page) => {
+    const item = document.createElement('li');
+
+    if (page === null) {
+      item.className = 'pagination__ellipsis';
+      item.setAttribute('aria-hidden', 'true');
+      item.textContent = '…';
+    } else {
+      const pageBtn = document.createElement('button');
+      pageBtn.className = 'pagination__page';
+      pageBtn.textContent = page;
+      pageBtn.setAttribute('aria-label', `Página ${page}`);
+      if (page === currentPage) {
+        pageBtn.setAttribute('aria-current', 'page');
+      }
+      pageBtn.addEventListener('click', () => onPageChange(page));
+      item.appendChild(pageBtn);
+    }
+
+    list.appendChild(item);
+  });
 
-  if (hasNextPage) {
+  controls.appendChild(list);
+
+  if (currentPage < totalPages) {
     const nextBtn = document.createElement('button');
     nextBtn.className = 'pagination__button';
     nextBtn.textContent = 'Próximo →';
-    nextBtn.addEventListener('click', () => onNextPage(currentPage + 1));
-    container.appendChild(nextBtn);
+    nextBtn.setAttribute('aria-label', 'Próxima página');
+    nextBtn.addEventListener('click', () => onPageChange(currentPage + 1));
+    controls.appendChild(nextBtn);
   }
+
+  container.appendChild(controls);
+
+  const pageInfo = document.createElement('span');
+  pageInfo.className = 'pagination__info';
+  pageInfo.textContent = `Página ${currentPage} de ${totalPages}`;
+  container.appendChild(pageInfo);
+
+  container.appendChild(createPageJumpForm(currentPage, totalPages, onPageChange));
+}
+
+/**
+ * Cria formulário "Ir para página"
+ * @param {number} currentPage - Página atual
+ * @param {number} totalPages - Total de páginas
+ * @param {Function} onPageChange - Callback com o número da página
+ * @returns {HTMLFormElement} Formulário
+ */
+function createPageJumpForm(currentPage, totalPages, onPageChange) {
+  const form = document.createElement('form');
+  form.className = 'pagination__jump';
+  form.innerHTML = `
+    <label for="pagination-jump" class="pagination__jump-label">Ir para página</label>
+    <input
+      type="number"
+      id="pagination-jump"
+      class="pagination__jump-input"
+      min="1"
+      max="${totalPages}"
+      step="1"
+      inputmode="numeric"
+      placeholder="${currentPage}"
+      required
+    />
+    <button type="submit" class="pagination__button">Ir</button>
+  `;
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = form.querySelector('input');
+    if (!input.reportValidity()) return;
+
+    const page = parseInt(input.value, 10);
+    if (page !== currentPage) {
+      onPageChange(page);
+    }
+  });
+
+  return form;
+}
+
+/**
+ * Navegação por teclado entre os botões da paginação
+ * @param {KeyboardEvent} e - Evento do teclado
+ */
+function handlePaginationKeydown(e) {
+  if (!['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) return;
+
+  const buttons = Array.from(e.currentTarget.querySelectorAll('button'));
+  const index = buttons.indexOf(document.activeElement);
+  if (index === -1) return;
+
+  e.preventDefault();
+  const targets = {
+    ArrowLeft: Math.max(0, index - 1),
+    ArrowRight: Math.min(buttons.length - 1, index + 1),
+    Home: 0,
+    End: buttons.length - 1
+  };
+  buttons[targets[e.key]].focus();
+}
+
+/**
+ * Renderiza chips de refinamento (décadas e "com pôster")
+ * @param {HTMLElement} container - Container dos chips
+ * @param {number[]} decades - Décadas presentes nos resultados
+ * @param {Object} refine - Estado do refinamento (decade, hasPoster)
+ * @param {Object} counts - Quantidade exibida e total
+ * @param {number} counts.shown - Filmes exibidos após refinamento
+ * @param {number} counts.total - Filmes carregados
+ */
+export function renderRefinementChips(container, decades, refine, { shown, total }) {
+  if (!container) return;
+
+  if (total === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const decadeChips = decades.map((decade) => `
+    <button
+      type="button"
+      class="chip"
+      data-refine="decade"
+      data-value="${decade}"
+      aria-pressed="${refine.decade === decade}"
+    >
+      Anos ${decade}
+    </button>
+  `).join('');
+
+  container.innerHTML = `
+    ${decades.length > 1 || refine.decade !== null ? decadeChips : ''}
+    <button type="button" class="chip" data-refine="poster" aria-pressed="${refine.hasPoster}">
+      Com pôster
+    </button>
+    ${shown !== total
+      ? `<span class="refine-chips__count">Mostrando ${shown} de ${total}</span>`
+      : ''
+    }
+  `;
+}
+
+/**
+ * Atualiza nota IMDb exibida em um card já renderizado
+ * @param {string} imdbID - ID IMDb
+ * @param {string} rating - Nota IMDb
+ */
+export function updateCardRating(imdbID, rating) {
+  if (!rating || rating === 'N/A') return;
+
+  document.querySelectorAll(`.card__button[data-imdbid="${imdbID}"]`).forEach((button) => {
+    const content = button.closest('.card__content');
+    let ratingElement = content.querySelector('.card__rating');
+    if (!ratingElement) {
+      ratingElement = document.createElement('p');
+      ratingElement.className = 'card__rating';
+      content.querySelector('.card__year').after(ratingElement);
+    }
+    ratingElement.innerHTML = `<strong>IMDb:</strong> ${formatRating(rating)}/10`;
+  });
+}
+
+/**
+ * Renderiza (ou atualiza) barra de progresso do modo "todos os resultados"
+ * Atualiza no lugar para não tirar o foco do botão de cancelar
+ * @param {HTMLElement} container - Container dos resultados
+ * @param {Object} progress - Páginas carregadas
+ * @param {number} progress.fetched - Páginas já buscadas
+ * @param {number} progress.total - Total de páginas
+ * @param {Function} onCancel - Callback do botão cancelar
+ */
+export function renderSearchProgress(container, { fetched, total }, onCancel) {
+  let wrapper = container.querySelector('.search-progress');
+
+  if (!wrapper) {
+    container.innerHTML = `
+      <div class="search-progress">
+        <label for="search-progress-bar" class="search-progress__label">Buscando todas as páginas</label>
+        <progress id="search-progress-bar" class="search-progress__bar"></progress>
+        <p class="search-progress__text"></p>
+        <button type="button" class="button button--secondary search-progress__cancel">Cancelar</button>
+      </div>
+    `;
+    wrapper = container.querySelector('.search-progress');
+    wrapper.querySelector('.search-progress__cancel').addEventListener('click', () => onCancel());
+  }
+
+  const bar = wrapper.querySelector('progress');
+  bar.max = total;
+  bar.value = fetched;
+  wrapper.querySelector('.search-progress__text').textContent = `${fetched} de ${total} página(s)`;
+}
+
+/**
+ * Renderiza status da rolagem infinita no lugar da paginação
+ * O botão "Carregar mais" serve de alternativa ao scroll (teclado e navegadores sem IntersectionObserver)
+ * @param {HTMLElement} container - Container da paginação
+ * @param {Object} state - Estado do carregamento
+ * @param {boolean} state.loading - Se está carregando a próxima página
+ * @param {boolean} state.hasMore - Se há mais páginas
+ * @param {string} state.error - Mensagem de erro do último carregamento
+ * @param {Function} onLoadMore - Callback para carregar a próxima página
+ */
+export function renderInfiniteStatus(container, { loading = false, hasMore = false, error = null }, onLoadMore) {
+  container.innerHTML = '';
+
+  const info = document.createElement('span');
+  info.className = 'pagination__info';
+
+  if (loading) {
+    info.textContent = 'Carregando mais resultados...';
+    container.appendChild(info);
+    return;
+  }
+
+  if (error) {
+    info.textContent = error;
+    container.appendChild(info);
+  } else if (!hasMore) {
+    info.textContent = 'Fim dos resultados';
+    container.appendChild(info);
+    return;
+  }
+
+  const moreBtn = document.createElement('button');
+  moreBtn.className = 'pagination__button';
+  moreBtn.textContent = error ? 'Tentar novamente' : 'Carregar mais';
+  moreBtn.addEventListener('click', () => onLoadMore());
+  container.appendChild(moreBtn);
 }
 
 /**
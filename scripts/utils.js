@@ -3,7 +3,15 @@
  * @module utils
  */
 
-import { DEBOUNCE_DELAY } from './config.js';
+import {
+  DEBOUNCE_DELAY,
+  SEARCH_TYPES,
+  DEFAULT_SEARCH_TYPE,
+  MIN_SEARCH_YEAR,
+  MAX_SEARCH_YEAR,
+  PAGINATION_SIBLINGS
+} from './config.js';
+import { APIError } from './errors.js';
 
 /**
  * Função debounce para limitar chamadas frequentes
@@ -29,6 +37,58 @@ export function formatYear(dateString) {
   return String(dateString).match(/\d{4}/) ? String(dateString).match(/\d{4}/)[0] : dateString;
 }
 
+/**
+ * Formata data de lançamento (ex: 2008-01-20) no padrão pt-BR
+ * @param {string} dateString - Data no formato do OMDb
+ * @returns {string} Data formatada ou mensagem padrão
+ */
+export function formatDate(dateString) {
+  if (!dateString || dateString === 'N/A') return 'Data desconhecida';
+  const date = new Date(dateString);
+  if (Number.isNaN(date.getTime())) return dateString;
+  return date.toLocaleDateString('pt-BR', { timeZone: 'UTC' });
+}
+
+/**
+ * Formata há quanto tempo algo aconteceu (ex: "há 3 horas")
+ * @param {number} timestamp - Momento em ms
+ * @param {number} now - Momento atual em ms (default: Date.now())
+ * @returns {string} Tempo relativo em pt-BR
+ */
+export function formatRelativeTime(timestamp, now = Date.now()) {
+  const seconds = Math.round((timestamp - now) / 1000);
+  const units = [
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60]
+  ];
+  const formatter = new Intl.RelativeTimeFormat('pt-BR', { numeric: 'auto' });
+
+  for (const [unit, size] of units) {
+    if (Math.abs(seconds) >= size) {
+      return formatter.format(Math.round(seconds / size), unit);
+    }
+  }
+  return 'agora mesmo';
+}
+
+/**
+ * Formata tamanho em bytes (ex: "1,2 MB")
+ * @param {number} bytes - Tamanho em bytes
+ * @returns {string} Tamanho legível em pt-BR
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toLocaleString('pt-BR', { maximumFractionDigits: unit === 0 ? 0 : 1 })} ${units[unit]}`;
+}
+
 /**
  * Obtém nota IMDb formatada
  * @param {string|number} rating - Nota IMDb
@@ -65,6 +125,32 @@ export function sanitizeString(str) {
     .replace(/'/g, '&#x27;');
 }
 
+/**
+ * Normaliza texto para comparação (minúsculas, sem acentos e pontuação)
+ * @param {string} text - Texto original
+ * @returns {string[]} Palavras normalizadas
+ */
+export function toSearchWords(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Verifica se cada palavra da consulta é o início de alguma palavra do texto
+ * Usado nas sugestões, que precisam casar com palavras ainda incompletas
+ * @param {string} text - Texto candidato (ex: título)
+ * @param {string} query - Texto digitado
+ * @returns {boolean} True se todas as palavras casam
+ */
+export function matchesWordPrefixes(text, query) {
+  const textWords = toSearchWords(text);
+  return toSearchWords(query).every((word) => textWords.some((textWord) => textWord.startsWith(word)));
+}
+
 /**
  * Cria URL do YouTube para trailer
  * @param {string} title - Título do filme
@@ -83,15 +169,16 @@ export function generateYouTubeTrailerURL(title, year) {
  */
 export function getErrorMessage(error) {
   if (typeof error === 'string') return error;
-  
+
+  // Erros tipados (api.js) já trazem a mensagem para o usuário
+  if (error instanceof APIError) {
+    return error.message;
+  }
+
   if (error.name === 'AbortError') {
     return 'Busca cancelada pelo usuário.';
   }
-  
-  if (error.message?.includes('Failed to fetch')) {
-    return 'Erro de conexão. Verifique sua internet e tente novamente.';
-  }
-  
+
   return error.message || 'Erro desconhecido. Tente novamente.';
 }
 
@@ -164,3 +251,81 @@ export function createSkeletonCards(count) {
   }
   return skeletons;
 }
+
+/**
+ * Extrai ID IMDb (ex: tt0372784) de um texto ou URL
+ * @param {string} value - Texto, URL do IMDb ou link web+topfimes
+ * @returns {string|null} ID IMDb ou null se não encontrado
+ */
+export function extractImdbId(value) {
+  if (!value) return null;
+  const match = String(value).match(/\btt\d{7,10}\b/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Converte valor em ano válido para busca
+ * @param {string|number} value - Ano informado
+ * @returns {number|null} Ano ou null se inválido
+ */
+export function parseYear(value) {
+  const year = parseInt(value, 10);
+  return year >= MIN_SEARCH_YEAR && year <= MAX_SEARCH_YEAR ? year : null;
+}
+
+/**
+ * Normaliza filtros de busca (tipo e ano/faixa de anos)
+ * Um único ano informado vira faixa de um ano; faixas invertidas são corrigidas
+ * @param {Object} filters - Filtros brutos
+ * @param {string} filters.type - Tipo OMDb ('' = todos)
+ * @param {string|number} filters.yearFrom - Ano inicial
+ * @param {string|number} filters.yearTo - Ano final
+ * @returns {Object} Filtros com type, yearFrom e yearTo
+ */
+export function normalizeFilters({ type = DEFAULT_SEARCH_TYPE, yearFrom = null, yearTo = null } = {}) {
+  let from = parseYear(yearFrom) || parseYear(yearTo);
+  let to = parseYear(yearTo) || from;
+
+  if (from && to && from > to) {
+    [from, to] = [to, from];
+  }
+
+  return {
+    type: SEARCH_TYPES.includes(type) ? type : '',
+    yearFrom: from,
+    yearTo: to
+  };
+}
+
+/**
+ * Calcula páginas exibidas na paginação numerada
+ * Sempre inclui primeira e última; lacunas viram null (reticências)
+ * @param {number} currentPage - Página atual
+ * @param {number} totalPages - Total de páginas
+ * @param {number} siblings - Vizinhas de cada lado da atual
+ * @returns {Array<number|null>} Ex: [1, null, 4, 5, 6, null, 47]
+ */
+export function getPageRange(currentPage, totalPages, siblings = PAGINATION_SIBLINGS) {
+  const start = Math.max(2, currentPage - siblings);
+  const end = Math.min(totalPages - 1, currentPage + siblings);
+  const pages = [1];
+
+  if (start > 2) {
+    // Lacuna de uma página só mostra o número em vez de reticências
+    pages.push(start === 3 ? 2 : null);
+  }
+
+  for (let page = start; page <= end; page++) {
+    pages.push(page);
+  }
+
+  if (end < totalPages - 1) {
+    pages.push(end === totalPages - 2 ? totalPages - 1 : null);
+  }
+
+  if (totalPages > 1) {
+    pages.push(totalPages);
+  }
+
+  return pages;
+}
@@ -0,0 +1,60 @@
+/**
+ * Lista de filmes para assistir (persistida em IndexedDB)
+ * @module watchlist
+ */
+
+import { STORES, withStore } from './db.js';
+
+/**
+ * Adiciona filme à lista guardando o registro completo do OMDb
+ * @param {Object} movie - Detalhes do filme (getMovieDetails)
+ * @returns {Promise<void>}
+ */
+export async function addToWatchlist(movie) {
+  if (!movie?.imdbID) {
+    throw new Error('Filme inválido para a lista.');
+  }
+
+  await withStore(STORES.watchlist, 'readwrite', (store) =>
+    store.put({ imdbID: movie.imdbID, addedAt: Date.now(), movie })
+  );
+}
+
+/**
+ * Remove filme da lista
+ * @param {string} imdbID - ID IMDb
+ * @returns {Promise<void>}
+ */
+export async function removeFromWatchlist(imdbID) {
+  await withStore(STORES.watchlist, 'readwrite', (store) => store.delete(imdbID));
+}
+
+/**
+ * Obtém detalhes de um filme salvo na lista
+ * @param {string} imdbID - ID IMDb
+ * @returns {Promise<Object|null>} Detalhes do filme ou null
+ */
+export async function getWatchlistMovie(imdbID) {
+  const entry = await withStore(STORES.watchlist, 'readonly', (store) => store.get(imdbID));
+  return entry ? entry.movie : null;
+}
+
+/**
+ * Lista filmes salvos, mais recentes primeiro
+ * @returns {Promise<Object[]>} Detalhes dos filmes
+ */
+export async function getWatchlist() {
+  const entries = await withStore(STORES.watchlist, 'readonly', (store) =>
+    store.index('addedAt').getAll()
+  );
+  return entries.reverse().map((entry) => entry.movie);
+}
+
+/**
+ * Obtém IDs dos filmes salvos
+ * @returns {Promise<Set<string>>} Conjunto de IDs IMDb
+ */
+export async function getWatchlistIds() {
+  const keys = await withStore(STORES.watchlist, 'readonly', (store) => store.getAllKeys());
+  return new Set(keys);
+}
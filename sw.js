@@ -3,7 +3,37 @@
  * Melhora Performance, Offline support e Best Practices
  */
 
-const CACHE_NAME = 'top-fimes-v1';
+// Mude CACHE_VERSION a cada deploy que altere os assets: o nome novo
+// separa o precache da versão em espera do usado pelas páginas abertas
+const CACHE_PREFIX = 'top-fimes-';
+const CACHE_VERSION = 3;
+const CACHE_NAME = `${CACHE_PREFIX}precache-v${CACHE_VERSION}`;
+
+/**
+ * Caches de runtime (dados, não código): sobrevivem a novas versões do app
+ * Acima de maxEntries as entradas mais antigas saem; depois de maxAge (ms) não são mais usadas
+ * maxOpaqueEntries limita à parte as respostas opacas (sem CORS): o Chromium conta cada
+ * uma como vários MB da cota, independentemente do tamanho real da imagem
+ */
+const RUNTIME_CACHES = {
+  api: {
+    name: `${CACHE_PREFIX}api`,
+    maxEntries: 200,
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 dias
+  },
+  posters: {
+    name: `${CACHE_PREFIX}posters`,
+    maxEntries: 150,
+    maxOpaqueEntries: 20,
+    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 dias
+  }
+};
+
+// Header gravado na requisição guardada como chave, com o momento em que entrou no cache
+// (fica na chave porque respostas opacas de pôsteres de outra origem não podem ser alteradas)
+const CACHED_AT_HEADER = 'X-Cached-At';
+// Header gravado na chave quando a resposta guardada é opaca (ver maxOpaqueEntries)
+const OPAQUE_HEADER = 'X-Opaque';
 const ASSETS_TO_CACHE = [
   '.',
   'index.html',
@@ -13,11 +43,31 @@ const ASSETS_TO_CACHE = [
   'scripts/api.js',
   'scripts/ui.js',
   'scripts/modal.js',
+  'scripts/settings.js',
+  'scripts/pwa.js',
+  'scripts/offline.js',
+  'scripts/recent.js',
+  'scripts/combobox.js',
+  'scripts/query.js',
+  'scripts/suggest.js',
+  'scripts/compare.js',
   'scripts/utils.js',
-  'assets/placeholder.svg'
+  'scripts/router.js',
+  'scripts/db.js',
+  'scripts/cache.js',
+  'scripts/scheduler.js',
+  'scripts/errors.js',
+  'scripts/watchlist.js',
+  'scripts/refine.js',
+  'scripts/providers/index.js',
+  'scripts/providers/omdb.js',
+  'scripts/providers/local.js',
+  'assets/placeholder.svg',
+  'assets/catalog.json'
 ];
 
 // Install event - precache assets
+// Não chama skipWaiting: a versão nova espera a página pedir (SKIP_WAITING)
 self.addEventListener('install', (event) => {
   event.waitUntil(
     caches.open(CACHE_NAME)
@@ -36,18 +86,19 @@ self.addEventListener('install', (event) => {
             );
           });
       })
-      .then(() => self.skipWaiting())
   );
 });
 
-// Activate event - limpa caches antigos
+// Activate event - limpa caches de versões anteriores
+// Só roda quando nenhuma página usa mais a versão antiga; caches de outros apps
+// na mesma origem (sem o prefixo) são preservados
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     caches.keys()
       .then((cacheNames) => {
         return Promise.all(
           cacheNames.map((cacheName) => {
-            if (cacheName !== CACHE_NAME) {
+            if (cacheName.startsWith(CACHE_PREFIX) && !isCurrentCache(cacheName)) {
               console.log('Service Worker: Deletando cache antigo:', cacheName);
               return caches.delete(cacheName);
             }
@@ -59,36 +110,244 @@ self.addEventListener('activate', (event) => {
   );
 });
 
+/**
+ * Verifica se o cache pertence a esta versão (precache atual ou cache de runtime)
+ * @param {string} cacheName - Nome do cache
+ * @returns {boolean} True se deve ser mantido
+ */
+function isCurrentCache(cacheName) {
+  return cacheName === CACHE_NAME ||
+    Object.values(RUNTIME_CACHES).some((config) => config.name === cacheName);
+}
+
+/**
+ * Procura resposta só no cache desta versão
+ * caches.match() olharia também o precache de uma versão em espera,
+ * entregando scripts novos a páginas antigas
+ * @param {Request|string} request - Requisição ou URL
+ * @returns {Promise<Response|undefined>} Resposta em cache
+ */
+function matchCache(request) {
+  return caches.open(CACHE_NAME).then((cache) => cache.match(request));
+}
+
+/**
+ * Lê quando uma entrada de cache de runtime foi gravada
+ * @param {Request} request - Chave guardada no cache
+ * @returns {number} Timestamp em ms (0 se desconhecido)
+ */
+function getCachedAt(request) {
+  return Number(request.headers.get(CACHED_AT_HEADER)) || 0;
+}
+
+/**
+ * Grava resposta em um cache de runtime e aplica os limites dele
+ * @param {Object} config - Cache de RUNTIME_CACHES
+ * @param {Request} request - Requisição original
+ * @param {Response} response - Resposta (já clonada)
+ * @returns {Promise<void>}
+ */
+async function putRuntimeCache(config, request, response) {
+  const cache = await caches.open(config.name);
+  const headers = { [CACHED_AT_HEADER]: String(Date.now()) };
+  if (response.type === 'opaque') {
+    headers[OPAQUE_HEADER] = '1';
+  }
+  const key = new Request(request.url, { headers });
+
+  // Regravar a mesma URL move a entrada para o fim (mais recente)
+  await cache.delete(request.url);
+  await cache.put(key, response);
+  await trimRuntimeCache(config);
+}
+
+/**
+ * Procura resposta válida (dentro de maxAge) em um cache de runtime
+ * @param {Object} config - Cache de RUNTIME_CACHES
+ * @param {Request} request - Requisição
+ * @returns {Promise<Response|undefined>} Resposta em cache
+ */
+async function matchRuntimeCache(config, request) {
+  const cache = await caches.open(config.name);
+  const [key] = await cache.keys(request);
+  if (!key) return undefined;
+
+  if (Date.now() - getCachedAt(key) > config.maxAge) {
+    await cache.delete(key);
+    return undefined;
+  }
+  return cache.match(key);
+}
+
+/**
+ * Remove entradas vencidas e, acima do limite, as mais antigas
+ * cache.keys() devolve as entradas na ordem em que foram gravadas
+ * @param {Object} config - Cache de RUNTIME_CACHES
+ * @returns {Promise<number>} Entradas removidas
+ */
+async function trimRuntimeCache(config) {
+  const cache = await caches.open(config.name);
+  const keys = await cache.keys();
+  const now = Date.now();
+
+  const expired = keys.filter((key) => now - getCachedAt(key) > config.maxAge);
+  const valid = keys.filter((key) => !expired.includes(key));
+  const overflow = valid.slice(0, Math.max(0, valid.length - config.maxEntries));
+  const opaque = valid.filter((key) => key.headers.has(OPAQUE_HEADER) && !overflow.includes(key));
+  const opaqueOverflow = config.maxOpaqueEntries === undefined
+    ? []
+    : opaque.slice(0, Math.max(0, opaque.length - config.maxOpaqueEntries));
+  const removed = [...expired, ...overflow, ...opaqueOverflow];
+
+  await Promise.all(removed.map((key) => cache.delete(key)));
+  return removed.length;
+}
+
+/**
+ * Conta entradas de cada cache e o uso total de armazenamento da origem
+ * @returns {Promise<Object>} { precache, api, posters, usage, quota }
+ */
+async function getCacheSizes() {
+  const count = async (cacheName) => (await (await caches.open(cacheName)).keys()).length;
+  const sizes = { precache: { entries: await count(CACHE_NAME) } };
+
+  for (const [id, config] of Object.entries(RUNTIME_CACHES)) {
+    sizes[id] = { entries: await count(config.name), maxEntries: config.maxEntries, maxAge: config.maxAge };
+  }
+
+  const estimate = await self.navigator.storage?.estimate?.().catch(() => null);
+  sizes.usage = estimate?.usage ?? null;
+  sizes.quota = estimate?.quota ?? null;
+  return sizes;
+}
+
+/**
+ * Pôster (imagem de outra origem, ex: m.media-amazon.com): cache first no cache de pôsteres
+ * Respostas opacas (status 0) são aceitas, já que o <img> não usa CORS,
+ * mas só as mais recentes ficam (maxOpaqueEntries)
+ * @param {FetchEvent} event - Evento fetch
+ * @returns {Promise<Response>} Pôster ou placeholder se offline
+ */
+async function handlePosterRequest(event) {
+  const { request } = event;
+  const cached = await matchRuntimeCache(RUNTIME_CACHES.posters, request);
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+      event.waitUntil(putRuntimeCache(RUNTIME_CACHES.posters, request, response.clone()));
+    }
+    return response;
+  } catch (err) {
+    return (await matchCache('assets/placeholder.svg')) || Response.error();
+  }
+}
+
+/**
+ * Extrai ID IMDb (ex: tt0372784) de um texto ou URL
+ * Mesma regra de extractImdbId em scripts/utils.js (o SW não carrega módulos)
+ * @param {string} value - Texto ou URL
+ * @returns {string|null} ID IMDb ou null
+ */
+function extractImdbId(value) {
+  const match = String(value || '').match(/\btt\d{7,10}\b/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Limpa texto compartilhado para usar como termo de busca
+ * Remove URLs, sufixo " - IMDb", ano entre parênteses e espaços extras
+ * @param {string} text - Texto compartilhado
+ * @returns {string} Termo de busca
+ */
+function toSearchTerm(text) {
+  return String(text || '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/\s+-\s+IMDb\s*$/i, '')
+    .replace(/\(\d{4}[^)]*\)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100);
+}
+
+/**
+ * Web Share Target (manifest.json): recebe o POST de /share e redireciona para a app
+ * Links do IMDb abrem o modal do filme; texto comum vira busca
+ * @param {Request} request - Requisição POST do compartilhamento
+ * @returns {Promise<Response>} Redirect para a app
+ */
+async function handleShareTarget(request) {
+  const target = new URL(self.registration.scope);
+
+  try {
+    const formData = await request.formData();
+    const url = formData.get('url') || '';
+    const text = formData.get('text') || '';
+    const title = formData.get('title') || '';
+
+    const imdbId = extractImdbId(url) || extractImdbId(text) || extractImdbId(title);
+    // Páginas compartilhadas trazem o nome no título; texto puro vem em "text"
+    const searchTerm = url
+      ? toSearchTerm(title) || toSearchTerm(text)
+      : toSearchTerm(text) || toSearchTerm(title);
+
+    if (imdbId) {
+      target.searchParams.set('movie', imdbId);
+    } else if (searchTerm) {
+      target.searchParams.set('q', searchTerm);
+    } else {
+      target.searchParams.set('search', '1');
+    }
+  } catch (err) {
+    console.warn('Service Worker: Erro ao ler compartilhamento:', err);
+    target.searchParams.set('search', '1');
+  }
+
+  return Response.redirect(target.href, 303);
+}
+
 // Fetch event - estratégia de cache
 self.addEventListener('fetch', (event) => {
   const { request } = event;
   const url = new URL(request.url);
 
+  // Web Share Target
+  if (request.method === 'POST' && url.pathname === new URL('share', self.registration.scope).pathname) {
+    event.respondWith(handleShareTarget(request));
+    return;
+  }
+
   // Ignora requisições não-GET
   if (request.method !== 'GET') {
     return;
   }
 
-  // Ignora requisições de API do OMDb (deixa sempre fetch para dados frescos)
+  // API do OMDb: network first; sem rede usa o cache de API (dentro de maxAge)
   if (url.origin === 'https://www.omdbapi.com') {
     event.respondWith(
       fetch(request)
         .then((response) => {
-          // Clone a resposta antes de cacheá-la
           if (response.ok) {
-            const cache = caches.open(CACHE_NAME);
-            cache.then((c) => c.put(request, response.clone()));
+            event.waitUntil(putRuntimeCache(RUNTIME_CACHES.api, request, response.clone()));
           }
           return response;
         })
         .catch(() => {
           // Tenta cache se fetch falhar
-          return caches.match(request);
+          return matchRuntimeCache(RUNTIME_CACHES.api, request)
+            .then((response) => response || Response.error());
         })
     );
     return;
   }
 
+  // Pôsteres de outras origens vão para o cache de pôsteres (limitado)
+  if (url.origin !== self.location.origin && request.destination === 'image') {
+    event.respondWith(handlePosterRequest(event));
+    return;
+  }
+
   // Para assets estáticos: cache first, então network
   if (
     url.pathname.endsWith('.css') ||
@@ -100,7 +359,7 @@ self.addEventListener('fetch', (event) => {
     url.pathname.endsWith('.webp')
   ) {
     event.respondWith(
-      caches.match(request)
+      matchCache(request)
         .then((response) => {
           if (response) {
             return response;
@@ -124,7 +383,7 @@ self.addEventListener('fetch', (event) => {
             .catch(() => {
               // Fallback para placeholder se imagem falhar
               if (url.pathname.match(/\.(svg|png|jpg|jpeg|webp)$/)) {
-                return caches.match('assets/placeholder.svg');
+                return matchCache('assets/placeholder.svg');
               }
               return new Response('Offline', {
                 status: 503,
@@ -151,7 +410,7 @@ self.addEventListener('fetch', (event) => {
           return response;
         })
         .catch(() => {
-          return caches.match(request)
+          return matchCache(request)
             .then((response) => {
               return response || new Response(
                 '<!DOCTYPE html><html><body><h1>Offline</h1><p>Não há conexão e página não está em cache.</p></body></html>',
@@ -169,21 +428,36 @@ self.addEventListener('fetch', (event) => {
   event.respondWith(
     fetch(request)
       .catch(() => {
-        return caches.match(request);
+        return matchCache(request);
       })
   );
 });
 
-// Message event para atualização manual
+// Message event - a página confirma a atualização (scripts/pwa.js)
 self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
 
+  // Limpa só os caches de runtime; o precache mantém o app funcionando offline
   if (event.data && event.data.type === 'CLEAR_CACHE') {
-    caches.delete(CACHE_NAME)
-      .then(() => {
-        console.log('Service Worker: Cache limpo');
-      });
+    event.waitUntil(
+      Promise.all(Object.values(RUNTIME_CACHES).map((config) => caches.delete(config.name)))
+        .then(() => {
+          console.log('Service Worker: Cache limpo');
+        })
+    );
+  }
+
+  // Responde pelo MessageChannel recebido (ver getServiceWorkerCacheSizes em scripts/pwa.js)
+  if (event.data && event.data.type === 'GET_CACHE_SIZES') {
+    event.waitUntil(
+      getCacheSizes()
+        .then((sizes) => event.ports[0]?.postMessage(sizes))
+        .catch((err) => {
+          console.warn('Service Worker: Erro ao medir caches:', err);
+          event.ports[0]?.postMessage(null);
+        })
+    );
   }
 });